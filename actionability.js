@@ -0,0 +1,147 @@
+const { CommandError } = require('./errors');
+
+const DEFAULT_TIMEOUT = parseInt(process.env.GLYDE_ACTION_TIMEOUT, 10) || 10000;
+const POLL_INTERVAL = 100;
+
+// Checks each element command waits for before acting
+const ACTION_CHECKS = {
+    click: ['visible', 'stable', 'enabled', 'receivesEvents'],
+    hover: ['visible', 'stable', 'receivesEvents'],
+    type: ['visible', 'enabled', 'editable'],
+    select: ['visible', 'enabled'],
+    press: ['visible', 'enabled'],
+    scroll: [],
+    upload: ['enabled']
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs in the page. Returns null when every check passes, otherwise the first
+// failing check and a human readable reason.
+async function checkElement(el, checks) {
+    const describe = (node) => {
+        let text = node.tagName.toLowerCase();
+        if (node.id) {
+            text += `#${node.id}`;
+        }
+        if (node.classList && node.classList.length) {
+            text += '.' + Array.from(node.classList).slice(0, 3).join('.');
+        }
+        return text;
+    };
+    // rAF is paused in background tabs, so don't wait on it forever
+    const nextFrame = () => new Promise(resolve => {
+        requestAnimationFrame(() => resolve());
+        setTimeout(resolve, 100);
+    });
+
+    if (!el.isConnected) {
+        return { check: 'attached', reason: 'element was detached from the DOM' };
+    }
+
+    if (checks.includes('visible')) {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        if (style.display === 'none') {
+            return { check: 'visible', reason: 'element is hidden (display: none)' };
+        }
+        if (style.visibility !== 'visible') {
+            return { check: 'visible', reason: `element is hidden (visibility: ${style.visibility})` };
+        }
+        if (rect.width === 0 || rect.height === 0) {
+            return { check: 'visible', reason: 'element has zero size' };
+        }
+    }
+
+    if (checks.includes('enabled')) {
+        if (el.disabled || el.closest('fieldset[disabled]')) {
+            return { check: 'enabled', reason: 'element is disabled' };
+        }
+        if (el.getAttribute('aria-disabled') === 'true') {
+            return { check: 'enabled', reason: 'element is disabled (aria-disabled="true")' };
+        }
+    }
+
+    if (checks.includes('editable')) {
+        const isField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+        if (!isField && !el.isContentEditable) {
+            return { check: 'editable', reason: `${describe(el)} is not an input, textarea or contenteditable element` };
+        }
+        if (el.readOnly) {
+            return { check: 'editable', reason: 'element is read-only' };
+        }
+    }
+
+    if (checks.includes('stable')) {
+        const before = el.getBoundingClientRect();
+        await nextFrame();
+        await nextFrame();
+        const after = el.getBoundingClientRect();
+        if (before.x !== after.x || before.y !== after.y || before.width !== after.width || before.height !== after.height) {
+            return { check: 'stable', reason: 'element is still moving (animating or layout shifting)' };
+        }
+    }
+
+    if (checks.includes('receivesEvents')) {
+        let rect = el.getBoundingClientRect();
+        const inViewport = rect.top >= 0 && rect.left >= 0 &&
+            rect.bottom <= window.innerHeight && rect.right <= window.innerWidth;
+        if (!inViewport) {
+            el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+            rect = el.getBoundingClientRect();
+        }
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + rect.height / 2;
+        const hit = document.elementFromPoint(x, y);
+        if (!hit) {
+            return { check: 'receivesEvents', reason: 'element center is outside the viewport' };
+        }
+        if (hit !== el && !el.contains(hit)) {
+            return { check: 'receivesEvents', reason: `element is covered by ${describe(hit)}` };
+        }
+    }
+
+    return null;
+}
+
+// Wait until the selector matches an element that passes the given checks and
+// return its handle. On timeout, the error says which check was still failing.
+async function waitForActionable(page, selector, { checks = [], timeout = DEFAULT_TIMEOUT, force = false } = {}) {
+    const deadline = Date.now() + timeout;
+    let failure = null;
+
+    for (;;) {
+        const element = await page.$(selector);
+        if (element) {
+            if (force) {
+                return element;
+            }
+            try {
+                failure = await element.evaluate(checkElement, checks);
+            } catch (error) {
+                // Element went away mid-check (navigation or re-render); try again
+                failure = { check: 'attached', reason: error.message };
+            }
+            if (!failure) {
+                return element;
+            }
+            await element.dispose();
+        } else {
+            failure = { check: 'attached', reason: 'no element matches the selector' };
+        }
+
+        if (Date.now() >= deadline) {
+            break;
+        }
+        await sleep(Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now())));
+    }
+
+    const code = failure.check === 'attached' ? 'ELEMENT_NOT_FOUND' : 'NOT_ACTIONABLE';
+    throw new CommandError(
+        code,
+        `Timed out after ${timeout}ms waiting for ${selector}: ${failure.reason} (check: ${failure.check})`,
+        { selector, timeout, check: failure.check, reason: failure.reason }
+    );
+}
+
+module.exports = { waitForActionable, ACTION_CHECKS, DEFAULT_TIMEOUT };
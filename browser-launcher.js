@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs-extra');
+const puppeteer = require('puppeteer-core');
+const chromeLauncher = require('chrome-launcher');
+
+const LAUNCH_MODES = ['window', 'headless', 'connect'];
+
+// Start (or attach to) Chrome according to the session's `browser` config.
+// Returns the puppeteer browser plus `close()`, which leaves an attached
+// Chrome running and only disconnects from it.
+async function startBrowser(config, { userDataDir, logger }) {
+    if (!LAUNCH_MODES.includes(config.mode)) {
+        throw new Error(`Unknown browser mode "${config.mode}" (expected ${LAUNCH_MODES.join(', ')})`);
+    }
+
+    if (config.mode === 'connect') {
+        return connectBrowser(config, logger);
+    }
+
+    // A Chrome left running on this profile by an earlier controller can't be
+    // launched again (the profile is locked), so attach to it instead
+    const running = findProfileChrome(userDataDir);
+    if (running) {
+        try {
+            const browser = await puppeteer.connect({ browserWSEndpoint: running.browserWSEndpoint, defaultViewport: null });
+            logger.info(`Reattached to Chrome (pid ${running.pid}) still running on the session profile`);
+            return {
+                browser,
+                mode: config.mode,
+                pid: running.pid,
+                reattached: true,
+                close: async () => {
+                    await browser.close();
+                }
+            };
+        } catch (error) {
+            logger.warn(`Could not reattach to Chrome pid ${running.pid}, launching a new one: ${error.message}`);
+        }
+    }
+
+    const { width, height } = config.viewport || {};
+    const chromeFlags = [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-infobars'
+    ];
+    if (config.mode === 'headless') {
+        chromeFlags.push('--headless=new');
+        if (width && height) {
+            chromeFlags.push(`--window-size=${width},${height}`);
+        }
+    } else {
+        chromeFlags.push('--start-maximized', '--window-position=0,0');
+    }
+    chromeFlags.push(...config.flags);
+
+    // Launch Chrome
+    // chrome-launcher adds --user-data-dir and writes chrome.pid and the
+    // chrome-out/err logs into it
+    const chrome = await chromeLauncher.launch({
+        chromeFlags,
+        userDataDir,
+        chromePath: config.chromePath || undefined
+    });
+    logger.info(`Chrome started (${config.mode}) on port ${chrome.port}`);
+
+    // Connect Puppeteer
+    const browser = await puppeteer.connect({
+        browserURL: `http://localhost:${chrome.port}`,
+        defaultViewport: null
+    });
+
+    return {
+        browser,
+        mode: config.mode,
+        pid: chrome.pid,
+        reattached: false,
+        close: async () => {
+            await browser.close();
+        }
+    };
+}
+
+// Chrome writes its DevTools port and browser path to DevToolsActivePort in
+// the profile; chrome-launcher writes the pid to chrome.pid
+function findProfileChrome(userDataDir) {
+    try {
+        const pid = parseInt(fs.readFileSync(path.join(userDataDir, 'chrome.pid'), 'utf8'), 10);
+        process.kill(pid, 0);
+        const [port, browserPath] = fs.readFileSync(path.join(userDataDir, 'DevToolsActivePort'), 'utf8').split('\n');
+        if (!port || !browserPath) {
+            return null;
+        }
+        return { pid, browserWSEndpoint: `ws://127.0.0.1:${port.trim()}${browserPath.trim()}` };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Attach to a Chrome started elsewhere with --remote-debugging-port
+async function connectBrowser(config, logger) {
+    const { browserWSEndpoint } = config;
+    const browserURL = config.browserURL || (config.port ? `http://127.0.0.1:${config.port}` : null);
+    if (!browserWSEndpoint && !browserURL) {
+        throw new Error('Browser mode "connect" needs browserWSEndpoint, browserURL or port in the session config');
+    }
+
+    const browser = await puppeteer.connect({
+        ...(browserWSEndpoint ? { browserWSEndpoint } : { browserURL }),
+        defaultViewport: null
+    });
+    logger.info(`Attached to Chrome at ${browserWSEndpoint || browserURL}`);
+
+    return {
+        browser,
+        mode: 'connect',
+        pid: null,
+        reattached: false,
+        close: async () => {
+            browser.disconnect();
+        }
+    };
+}
+
+module.exports = { startBrowser, LAUNCH_MODES };
@@ -0,0 +1,407 @@
+// Capture and restore of cookies, localStorage, sessionStorage and IndexedDB
+// for every origin visited in the session.
+//
+// State shape:
+//   {
+//       url, timestamp,
+//       cookies: [...],            // every cookie in the browser
+//       origins: {
+//           'https://example.com': {
+//               url,
+//               localStorage: { key: value },
+//               sessionStorage: { key: value },
+//               indexedDB: [{ name, version, stores: [{ name, keyPath, autoIncrement, indexes, records: [{ key, value }] }] }]
+//           }
+//       }
+//   }
+
+// Runs in the page: dump both storages and every IndexedDB database
+async function readPageStorage() {
+    const dumpStorage = (storage) => {
+        const items = {};
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            items[key] = storage.getItem(key);
+        }
+        return items;
+    };
+    // Dates don't survive JSON; tag them so restore can rebuild them
+    const encode = (value) => {
+        if (value instanceof Date) {
+            return { __glydeType: 'Date', value: value.toISOString() };
+        }
+        if (Array.isArray(value)) {
+            return value.map(encode);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [k, v] of Object.entries(value)) {
+                result[k] = encode(v);
+            }
+            return result;
+        }
+        return value;
+    };
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    const readDatabase = async ({ name, version }) => {
+        const db = await request(indexedDB.open(name, version));
+        try {
+            const stores = [];
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+                stores.push({
+                    name: storeName,
+                    keyPath: store.keyPath,
+                    autoIncrement: store.autoIncrement,
+                    indexes: Array.from(store.indexNames).map(indexName => {
+                        const index = store.index(indexName);
+                        return { name: index.name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                    }),
+                    records: keys.map((key, i) => ({ key: encode(key), value: encode(values[i]) }))
+                });
+            }
+            return { name, version: db.version, stores };
+        } finally {
+            db.close();
+        }
+    };
+
+    let databases = [];
+    try {
+        const infos = indexedDB.databases ? await indexedDB.databases() : [];
+        databases = await Promise.all(infos.map(readDatabase));
+    } catch (error) {
+        console.warn('[Glyde] Failed to read IndexedDB:', error.message);
+    }
+
+    return {
+        url: location.href,
+        origin: location.origin,
+        localStorage: dumpStorage(localStorage),
+        sessionStorage: dumpStorage(sessionStorage),
+        indexedDB: databases
+    };
+}
+
+// Runs in the page: write one origin's storage back. Without overwrite, existing keys and
+// records are left alone; with it, the saved areas and stores are replaced.
+async function writePageStorage(state, overwrite) {
+    const decode = (value) => {
+        if (value && value.__glydeType === 'Date') {
+            return new Date(value.value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(decode);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [k, v] of Object.entries(value)) {
+                result[k] = decode(v);
+            }
+            return result;
+        }
+        return value;
+    };
+    const open = (name, version, onUpgrade) => new Promise((resolve, reject) => {
+        const req = version ? indexedDB.open(name, version) : indexedDB.open(name);
+        req.onupgradeneeded = () => onUpgrade && onUpgrade(req.result);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error(`IndexedDB "${name}" is open elsewhere and can't be upgraded`));
+    });
+
+    const counts = { localStorage: 0, sessionStorage: 0, indexedDB: 0 };
+    for (const area of ['localStorage', 'sessionStorage']) {
+        if (!state[area]) {
+            continue;
+        }
+        if (overwrite) {
+            window[area].clear();
+        }
+        for (const [key, value] of Object.entries(state[area] || {})) {
+            if (overwrite || window[area].getItem(key) === null) {
+                window[area].setItem(key, value);
+                counts[area]++;
+            }
+        }
+    }
+
+    for (const saved of state.indexedDB || []) {
+        let db = await open(saved.name);
+        const missing = saved.stores.filter(store => !db.objectStoreNames.contains(store.name));
+        if (missing.length || db.version < saved.version) {
+            // Creating stores needs a version upgrade
+            const version = Math.max(db.version + (missing.length ? 1 : 0), saved.version);
+            db.close();
+            db = await open(saved.name, version, (upgradeDb) => {
+                for (const store of missing) {
+                    const created = upgradeDb.createObjectStore(store.name, {
+                        keyPath: store.keyPath === null ? undefined : store.keyPath,
+                        autoIncrement: store.autoIncrement
+                    });
+                    for (const index of store.indexes) {
+                        created.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+                    }
+                }
+            });
+        }
+
+        try {
+            for (const store of saved.stores) {
+                const tx = db.transaction(store.name, 'readwrite');
+                const objectStore = tx.objectStore(store.name);
+                if (overwrite) {
+                    objectStore.clear();
+                }
+                for (const record of store.records) {
+                    const value = decode(record.value);
+                    const key = store.keyPath === null ? decode(record.key) : undefined;
+                    const req = overwrite ? objectStore.put(value, key) : objectStore.add(value, key);
+                    req.onsuccess = () => counts.indexedDB++;
+                    // An existing key fails add(); keep the transaction going
+                    req.onerror = (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                    };
+                }
+                await new Promise((resolve, reject) => {
+                    tx.oncomplete = resolve;
+                    tx.onerror = () => reject(tx.error);
+                    tx.onabort = () => reject(tx.error || new Error(`Transaction on ${store.name} aborted`));
+                });
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    return counts;
+}
+
+const isWebOrigin = (origin) => /^https?:\/\//.test(origin || '');
+
+// Fields Storage.setCookies accepts (getCookies returns a few more)
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'secure', 'httpOnly', 'sameSite', 'priority', 'sourceScheme', 'sourcePort', 'partitionKey'];
+
+async function browserSession(browser, fn) {
+    const session = await browser.target().createCDPSession();
+    try {
+        return await fn(session);
+    } finally {
+        await session.detach().catch(() => {});
+    }
+}
+
+async function getAllCookies(browser) {
+    const { cookies } = await browserSession(browser, session => session.send('Storage.getCookies'));
+    return cookies;
+}
+
+async function setCookies(browser, cookies) {
+    const params = cookies.map(cookie => {
+        const param = {};
+        COOKIE_FIELDS.filter(field => cookie[field] !== undefined).forEach(field => { param[field] = cookie[field]; });
+        // Session cookies come back with expires -1; leave it unset so they stay session cookies
+        if (cookie.expires > 0 && !cookie.session) {
+            param.expires = cookie.expires;
+        }
+        return param;
+    });
+    await browserSession(browser, session => session.send('Storage.setCookies', { cookies: params }));
+}
+
+// Open a throwaway page on `origin` without touching the network: the
+// navigation is answered with an empty document, so storage APIs run in the
+// origin's context.
+async function withOriginPage(tabs, origin, fn) {
+    const page = await tabs.openHelper();
+    try {
+        await page.setBypassServiceWorker(true);
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                request.respond({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><title>Glyde</title>' });
+            } else {
+                request.abort();
+            }
+        });
+        await page.goto(`${origin}/`, { waitUntil: 'load' });
+        return await fn(page);
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+// Web pages open in tabs, first tab per origin
+function liveOrigins(tabs) {
+    const byOrigin = new Map();
+    for (const tab of tabs.tabs.values()) {
+        let origin;
+        try {
+            origin = new URL(tab.page.url()).origin;
+        } catch (error) {
+            continue;
+        }
+        if (isWebOrigin(origin) && !byOrigin.has(origin)) {
+            byOrigin.set(origin, tab);
+        }
+    }
+    return byOrigin;
+}
+
+async function readOrigin(page) {
+    const { url, origin, ...storage } = await page.evaluate(readPageStorage);
+    return { origin, entry: { url, ...storage } };
+}
+
+// Older state files hold a single page's storage at the top level
+function normalizeState(state) {
+    if (state.origins) {
+        return state;
+    }
+    const { url, origin, localStorage, sessionStorage, indexedDB, ...rest } = state;
+    return {
+        ...rest,
+        url,
+        origins: isWebOrigin(origin) ? { [origin]: { url, localStorage, sessionStorage, indexedDB } } : {}
+    };
+}
+
+// Full capture: every open tab directly, plus origins known from `previous`
+// through a helper page. sessionStorage belongs to a tab, so origins without
+// one open keep an empty sessionStorage.
+async function captureState(tabs, previous = null) {
+    const origins = {};
+    for (const [origin, tab] of liveOrigins(tabs)) {
+        origins[origin] = (await readOrigin(tab.page)).entry;
+    }
+
+    const known = previous ? normalizeState(previous).origins : {};
+    for (const origin of Object.keys(known).filter(origin => !origins[origin])) {
+        const { entry } = await withOriginPage(tabs, origin, readOrigin);
+        origins[origin] = { ...entry, url: known[origin].url };
+    }
+
+    return {
+        url: tabs.activeId !== null ? tabs.activePage.url() : null,
+        timestamp: new Date().toISOString(),
+        cookies: await getAllCookies(tabs.browser),
+        origins
+    };
+}
+
+// Cheap update after a page load: re-read that page, carry the rest over
+async function updateState(tabs, previous, page) {
+    const base = previous ? normalizeState(previous) : { origins: {} };
+    const origins = { ...base.origins };
+    if (isWebOrigin(new URL(page.url()).origin)) {
+        const { origin, entry } = await readOrigin(page);
+        origins[origin] = entry;
+    }
+    return {
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        cookies: await getAllCookies(tabs.browser),
+        origins
+    };
+}
+
+// Restore a saved state. `cookies`/`storage` limit what's restored (both when
+// neither is set); without `overwrite` only missing entries are added. Each
+// origin's storage is written through an open tab on that origin when there is
+// one, otherwise through a helper page (which can't keep sessionStorage).
+async function restoreState(tabs, state, { cookies = false, storage = false, overwrite = false, origin = null } = {}) {
+    state = normalizeState(state);
+    const restoreCookies = cookies || !storage;
+    const restoreStorage = storage || !cookies;
+    const result = { cookies: 0, origins: {} };
+
+    if (restoreCookies && state.cookies && state.cookies.length) {
+        const key = (cookie) => `${cookie.name}@${cookie.domain}${cookie.path || '/'}`;
+        const existing = new Set((await getAllCookies(tabs.browser)).map(key));
+        const toSet = state.cookies
+            .filter(cookie => !origin || isCookieFor(cookie, origin))
+            .filter(cookie => overwrite || !existing.has(key(cookie)));
+        if (toSet.length > 0) {
+            await setCookies(tabs.browser, toSet);
+        }
+        result.cookies = toSet.length;
+    }
+
+    if (restoreStorage) {
+        const live = liveOrigins(tabs);
+        const entries = Object.entries(state.origins).filter(([name]) => !origin || name === origin);
+        for (const [name, entry] of entries) {
+            try {
+                const tab = live.get(name);
+                if (tab) {
+                    const counts = await tab.page.evaluate(writePageStorage, entry, overwrite);
+                    result.origins[name] = { ...counts, via: `tab ${tab.id}` };
+                } else {
+                    const { sessionStorage, ...persistent } = entry;
+                    const counts = await withOriginPage(tabs, name, page => page.evaluate(writePageStorage, persistent, overwrite));
+                    result.origins[name] = { ...counts, via: 'helper page' };
+                }
+            } catch (error) {
+                result.origins[name] = { error: error.message };
+            }
+        }
+    }
+
+    return result;
+}
+
+function isCookieFor(cookie, origin) {
+    const host = new URL(origin).hostname;
+    const domain = cookie.domain.replace(/^\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Added/removed/changed keys between two key-value maps
+function diffMaps(before = {}, after = {}) {
+    const added = Object.keys(after).filter(key => !(key in before));
+    const removed = Object.keys(before).filter(key => !(key in after));
+    const changed = Object.keys(after).filter(key => key in before && before[key] !== after[key]);
+    return { added, removed, changed };
+}
+
+function diffStates(a, b) {
+    a = normalizeState(a);
+    b = normalizeState(b);
+    const cookieMap = (state) => Object.fromEntries((state.cookies || [])
+        .map(cookie => [`${cookie.name}@${cookie.domain}${cookie.path || ''}`, JSON.stringify([cookie.value, cookie.expires])]));
+    const storeMap = (entry) => Object.fromEntries((entry.indexedDB || []).flatMap(db =>
+        db.stores.map(store => [`${db.name}/${store.name}`, JSON.stringify(store.records)])));
+
+    const storage = {};
+    const names = new Set([...Object.keys(a.origins), ...Object.keys(b.origins)]);
+    for (const name of names) {
+        const before = a.origins[name] || {};
+        const after = b.origins[name] || {};
+        const diff = {
+            localStorage: diffMaps(before.localStorage, after.localStorage),
+            sessionStorage: diffMaps(before.sessionStorage, after.sessionStorage),
+            indexedDB: diffMaps(storeMap(before), storeMap(after))
+        };
+        const changed = Object.values(diff).some(d => d.added.length || d.removed.length || d.changed.length);
+        if (changed) {
+            storage[name] = diff;
+        }
+    }
+
+    return {
+        cookies: diffMaps(cookieMap(a), cookieMap(b)),
+        origins: {
+            added: Object.keys(b.origins).filter(name => !a.origins[name]),
+            removed: Object.keys(a.origins).filter(name => !b.origins[name])
+        },
+        storage
+    };
+}
+
+module.exports = { captureState, updateState, restoreState, diffStates, normalizeState };
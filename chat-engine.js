@@ -0,0 +1,546 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CommandError } = require('./errors');
+const { compileUrlPattern, findMatch } = require('./url-matcher');
+
+// Built-in adapters; a session can add or override them in
+// data/sessions/<name>/chat-adapters/ and plugins can register more
+const ADAPTERS_DIR = path.join(__dirname, 'chat-adapters');
+const DEFAULT_TIMEOUT = 120000;
+
+const ADAPTER_FIELDS = ['name', 'description', 'urlPatterns', 'input', 'submit', 'response', 'done', 'user', 'newChat', 'timeout'];
+
+// What chat returns: the answer as markdown, plain text, or both plus its code blocks and attachments
+const FORMATS = ['markdown', 'text', 'json'];
+
+let pluginAdapters = [];
+
+// Callbacks of streaming sendChat calls, by stream id; pages report text
+// through the __glydeChatStream binding that setupChat exposes
+const streams = new Map();
+let nextStreamId = 1;
+
+function registerAdapter(adapter) {
+    const errors = validateAdapter(adapter);
+    if (errors.length) {
+        throw new Error(`Invalid chat adapter ${adapter && adapter.name}: ${errors.join('; ')}`);
+    }
+    pluginAdapters = [...pluginAdapters.filter(other => other.name !== adapter.name), adapter];
+}
+
+function unregisterAdapter(name) {
+    pluginAdapters = pluginAdapters.filter(adapter => adapter.name !== name);
+}
+
+// Every problem with an adapter definition
+function validateAdapter(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+        return ['must be an object'];
+    }
+    const errors = [];
+    const isSelector = (value) => typeof value === 'string' && value.trim().length > 0;
+    Object.keys(adapter).filter(key => !ADAPTER_FIELDS.includes(key))
+        .forEach(key => errors.push(`${key}: unknown field (expected ${ADAPTER_FIELDS.join(', ')})`));
+
+    if (!isSelector(adapter.name)) {
+        errors.push('name: is required');
+    }
+    if (!Array.isArray(adapter.urlPatterns)) {
+        errors.push('urlPatterns: must be a list of URL patterns');
+    } else {
+        adapter.urlPatterns.forEach((pattern, index) => {
+            try {
+                compileUrlPattern(pattern);
+            } catch (error) {
+                errors.push(`urlPatterns[${index}]: ${error.message}`);
+            }
+        });
+    }
+
+    const submit = adapter.submit || {};
+    const submitWays = ['selector', 'key', 'function'].filter(key => submit[key] !== undefined);
+    if (submitWays.length !== 1) {
+        errors.push('submit: needs exactly one of selector, key or function');
+    }
+    if (submit.function === undefined && !(adapter.input && isSelector(adapter.input.selector))) {
+        errors.push('input.selector: is required unless submit.function sends the message');
+    }
+    if (!adapter.response || !isSelector(adapter.response.selector)) {
+        errors.push('response.selector: is required');
+    }
+    if (adapter.user !== undefined && !(adapter.user && isSelector(adapter.user.selector))) {
+        errors.push('user.selector: is required when user is given');
+    }
+    [['response', adapter.response], ['user', adapter.user]].forEach(([section, spec]) => {
+        ['content', 'attachments'].filter(key => spec && spec[key] !== undefined && !isSelector(spec[key]))
+            .forEach(key => errors.push(`${section}.${key}: must be a CSS selector`));
+    });
+    if (adapter.newChat !== undefined) {
+        const newChat = adapter.newChat || {};
+        if (['selector', 'url'].filter(key => newChat[key] !== undefined).length !== 1 ||
+            !isSelector(newChat.selector || newChat.url)) {
+            errors.push('newChat: needs exactly one of selector or url');
+        }
+    }
+    const done = adapter.done || {};
+    ['selector', 'within', 'absent'].filter(key => done[key] !== undefined && !isSelector(done[key]))
+        .forEach(key => errors.push(`done.${key}: must be a CSS selector`));
+    if (done.within && !done.selector) {
+        errors.push('done.within: only applies together with done.selector');
+    }
+    if (done.stableFor !== undefined && !(Number.isFinite(done.stableFor) && done.stableFor >= 0)) {
+        errors.push('done.stableFor: must be a number of milliseconds');
+    }
+    if (adapter.timeout !== undefined && !(Number.isFinite(adapter.timeout) && adapter.timeout > 0)) {
+        errors.push('timeout: must be a number of milliseconds');
+    }
+    return errors;
+}
+
+// Adapters from a directory; invalid files are logged and skipped
+async function readAdapterDir(dir, logger) {
+    if (!await fs.pathExists(dir)) {
+        return [];
+    }
+    const adapters = [];
+    for (const file of (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const adapter = await fs.readJson(path.join(dir, file));
+            const errors = validateAdapter(adapter);
+            if (errors.length) {
+                throw new Error(errors.join('; '));
+            }
+            adapters.push({ ...adapter, file: path.join(dir, file) });
+        } catch (error) {
+            logger.error(`Skipping chat adapter ${file}: ${error.message}`);
+        }
+    }
+    return adapters;
+}
+
+// Built-in, plugin and session adapters; later ones replace earlier ones with the same name
+async function loadAdapters(sessionDir, logger) {
+    const all = [
+        ...await readAdapterDir(ADAPTERS_DIR, logger),
+        ...pluginAdapters,
+        ...await readAdapterDir(path.join(sessionDir, 'chat-adapters'), logger)
+    ];
+    return Array.from(new Map(all.map(adapter => [adapter.name, adapter])).values());
+}
+
+// The adapter named, or the last loaded whose urlPatterns match the URL, so
+// session and plugin adapters win over built-in ones (hustle matches localhost)
+function findAdapter(adapters, url, name) {
+    if (name) {
+        const adapter = adapters.find(candidate => candidate.name === name);
+        if (!adapter) {
+            throw new CommandError('CHAT_ADAPTER_NOT_FOUND', `No chat adapter named "${name}" (available: ${adapters.map(a => a.name).join(', ') || 'none'})`, { adapter: name });
+        }
+        return adapter;
+    }
+    return [...adapters].reverse().find(adapter => findMatch(adapter.urlPatterns, url)) || null;
+}
+
+// Runs in the page: a message element as markdown and plain text, with its
+// code blocks ({ language, code }) and attachments (images, downloads and
+// spec.attachments elements). spec is the adapter's response or user section.
+function extractMessage(element, spec = {}) {
+    const root = (spec.content && element.querySelector(spec.content)) || element;
+    const SKIP = ['script', 'style', 'noscript', 'template', 'button', 'svg'];
+    const BLOCKS = ['p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'figure', 'figcaption', 'details', 'summary', 'dl', 'dt', 'dd'];
+    const codeBlocks = [];
+    // Fenced code is swapped in after whitespace cleanup so it stays verbatim
+    const fenced = [];
+
+    const clean = (text) => text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n (?! )/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    const block = (text) => `\n\n${text.trim()}\n\n`;
+    const wrap = (text, mark) => {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return match[2] ? `${match[1]}${mark}${match[2]}${mark}${match[3]}` : text;
+    };
+    const languageOf = (pre, code) => {
+        for (const node of [code, pre]) {
+            const match = Array.from(node.classList).map(name => name.match(/^(?:language|lang)-([\w#+.-]+)$/)).find(Boolean);
+            const attribute = node.getAttribute('data-language') || node.getAttribute('data-lang');
+            if (match || attribute) {
+                return match ? match[1] : attribute;
+            }
+        }
+        return '';
+    };
+
+    const renderChildren = (node) => Array.from(node.childNodes).map(render).join('');
+    const renderList = (list) => {
+        let number = Number(list.getAttribute('start')) || 1;
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI').map(item => {
+            const marker = list.tagName === 'OL' ? `${number++}. ` : '- ';
+            const lines = clean(renderChildren(item)).split('\n');
+            return marker + lines.map((line, index) => (index && line ? ' '.repeat(marker.length) + line : line)).join('\n');
+        });
+        return block(items.join('\n'));
+    };
+    const renderTable = (table) => {
+        const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.children)
+            .map(cell => clean(renderChildren(cell)).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')));
+        if (!rows.length) {
+            return '';
+        }
+        const width = Math.max(...rows.map(cells => cells.length));
+        const line = (cells) => `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+        return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+    };
+
+    const render = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // User messages usually keep their line breaks through white-space: pre-wrap
+            const preformatted = node.parentElement && getComputedStyle(node.parentElement).whiteSpace.startsWith('pre');
+            return preformatted ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+        const tag = node.tagName.toLowerCase();
+        if (SKIP.includes(tag) || node.getAttribute('aria-hidden') === 'true') {
+            return '';
+        }
+        if (/^h[1-6]$/.test(tag)) {
+            return block(`${'#'.repeat(Number(tag[1]))} ${renderChildren(node).trim()}`);
+        }
+        if (BLOCKS.includes(tag)) {
+            return block(renderChildren(node));
+        }
+        switch (tag) {
+            case 'br':
+                return '\n';
+            case 'hr':
+                return block('---');
+            case 'pre': {
+                // Site code blocks put a language label and copy button next to the code
+                const code = node.querySelector('code') || node;
+                const text = code.textContent.replace(/\n$/, '');
+                const language = languageOf(node, code);
+                let fence = '```';
+                while (text.includes(fence)) {
+                    fence += '`';
+                }
+                codeBlocks.push({ language, code: text });
+                fenced.push(`${fence}${language}\n${text}\n${fence}`);
+                return block(`\u0000${fenced.length - 1}\u0000`);
+            }
+            case 'code':
+                return node.textContent.includes('`') ? `\`\` ${node.textContent} \`\`` : `\`${node.textContent}\``;
+            case 'strong':
+            case 'b':
+                return wrap(renderChildren(node), '**');
+            case 'em':
+            case 'i':
+                return wrap(renderChildren(node), '*');
+            case 'del':
+            case 's':
+                return wrap(renderChildren(node), '~~');
+            case 'a': {
+                const text = renderChildren(node).trim();
+                const href = node.getAttribute('href');
+                return href && !href.startsWith('javascript:') ? `[${text || node.href}](${node.href})` : text;
+            }
+            case 'img':
+                return `![${node.alt || ''}](${node.currentSrc || node.src})`;
+            case 'ul':
+            case 'ol':
+                return renderList(node);
+            case 'blockquote':
+                return block(clean(renderChildren(node)).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+            case 'table':
+                return renderTable(node);
+            default:
+                return renderChildren(node);
+        }
+    };
+
+    const markdown = clean(render(root)).replace(/\u0000(\d+)\u0000/g, (_, index) => fenced[index]);
+
+    const attachments = [];
+    element.querySelectorAll(['img', 'a[download]', spec.attachments].filter(Boolean).join(', ')).forEach(node => {
+        const link = node.closest('a[href]') || node.querySelector('a[href]');
+        const attachment = {
+            type: node.tagName === 'IMG' ? 'image' : 'file',
+            name: node.getAttribute('alt') || node.getAttribute('download') || node.innerText.trim(),
+            url: node.currentSrc || node.src || (link && link.href) || null
+        };
+        if (!attachments.some(other => other.url === attachment.url && other.name === attachment.name)) {
+            attachments.push(attachment);
+        }
+    });
+
+    return { markdown, text: root.innerText.trim(), codeBlocks, attachments };
+}
+
+// Runs in the page: type the message, submit it, wait for a new response
+// element and for the adapter's completion signal, and return the answer in
+// the requested format (extract is extractMessage, passed in as source).
+// Failures come back as { error, code } so they keep their code.
+// While the reply renders, onDelta (or the Node binding for streamId) gets
+// { type: 'delta', text } for appended text and { type: 'reset', text } when
+// earlier text was rewritten; text is markdown unless the format is text.
+// timeout is resolved by the caller: the one given, the adapter's, or DEFAULT_TIMEOUT.
+async function runChat(adapter, message, { timeout, format = 'markdown', onDelta, streamId } = {}, extract) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const fail = (code, error) => ({ error, code });
+    const waitFor = async (check, ms) => {
+        const deadline = Date.now() + ms;
+        while (Date.now() < deadline) {
+            const value = check();
+            if (value) {
+                return value;
+            }
+            await sleep(100);
+        }
+        return null;
+    };
+    const responses = () => document.querySelectorAll(adapter.response.selector);
+    const contentOf = (reply) => (adapter.response.content && reply.querySelector(adapter.response.content)) || reply;
+    const before = responses().length;
+
+    if (adapter.input) {
+        const input = await waitFor(() => document.querySelector(adapter.input.selector), 10000);
+        if (!input) {
+            return fail('ELEMENT_NOT_FOUND', `Chat input ${adapter.input.selector} not found. Are you on the correct page?`);
+        }
+        input.focus();
+        if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+            // React tracks the value setter; go through the prototype's
+            const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value').set;
+            setter.call(input, message);
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+            // contenteditable editors (ProseMirror, Lexical, ...) handle insertText like typing
+            document.execCommand('selectAll', false, null);
+            document.execCommand('insertText', false, message);
+        }
+    }
+
+    const { submit } = adapter;
+    if (submit.selector) {
+        const button = await waitFor(() => {
+            const candidate = document.querySelector(submit.selector);
+            return candidate && !candidate.disabled && candidate.getAttribute('aria-disabled') !== 'true' ? candidate : null;
+        }, 10000);
+        if (!button) {
+            return fail('ELEMENT_NOT_FOUND', `Submit button ${submit.selector} not found or disabled`);
+        }
+        button.click();
+    } else if (submit.key) {
+        const target = document.activeElement || document.body;
+        ['keydown', 'keypress', 'keyup'].forEach(type => target.dispatchEvent(new KeyboardEvent(type, {
+            key: submit.key, code: submit.key, bubbles: true, cancelable: true
+        })));
+    } else {
+        const send = window[submit.function];
+        if (typeof send !== 'function') {
+            return fail('ELEMENT_NOT_FOUND', `window.${submit.function} not found. Are you on the correct page?`);
+        }
+        Promise.resolve(send(message)).catch(error => console.error('[glyde chat] send failed:', error));
+    }
+
+    const started = Date.now();
+    const reply = await waitFor(() => responses().length > before && responses()[responses().length - 1], timeout);
+    if (!reply) {
+        return fail('TIMEOUT', `No response within ${timeout}ms`);
+    }
+
+    const emit = onDelta || (streamId && typeof window.__glydeChatStream === 'function'
+        ? (chunk) => window.__glydeChatStream(streamId, chunk)
+        : null);
+    const latest = () => responses()[responses().length - 1] || reply;
+    let sent = '';
+    const flush = () => {
+        const text = format === 'text' ? contentOf(latest()).innerText.trimStart() : extract(latest(), adapter.response).markdown;
+        if (text === sent) {
+            return;
+        }
+        const chunk = text.startsWith(sent) ? { type: 'delta', text: text.slice(sent.length) } : { type: 'reset', text };
+        sent = text;
+        Promise.resolve(emit(chunk)).catch(() => {});
+    };
+    const observer = emit && new MutationObserver(flush);
+    if (observer) {
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        flush();
+    }
+
+    // Done once every configured signal holds; the text must also stop changing
+    const done = adapter.done || {};
+    const stableFor = done.stableFor !== undefined ? done.stableFor : 1000;
+    let lastText = null;
+    let stableSince = Date.now();
+    const finished = await waitFor(() => {
+        const current = latest();
+        const text = contentOf(current).innerText;
+        if (text !== lastText) {
+            lastText = text;
+            stableSince = Date.now();
+        }
+        const scope = done.within ? current.closest(done.within) : document;
+        return (!done.selector || (scope && scope.querySelector(done.selector))) &&
+            (!done.absent || !document.querySelector(done.absent)) &&
+            text.trim() && Date.now() - stableSince >= stableFor;
+    }, Math.max(timeout - (Date.now() - started), 0));
+    if (observer) {
+        observer.disconnect();
+        flush();
+    }
+    if (!finished) {
+        return fail('TIMEOUT', `Response did not finish within ${timeout}ms`);
+    }
+    const answer = extract(latest(), adapter.response);
+    return { response: format === 'json' ? answer : answer[format] };
+}
+
+// Runs in the page: every message of the conversation, in page order. Without
+// a user section in the adapter, only the assistant's side is found.
+function readConversation(adapter, extract) {
+    const roles = [['user', adapter.user], ['assistant', adapter.response]].filter(([, spec]) => spec);
+    const elements = document.querySelectorAll(roles.map(([, spec]) => spec.selector).join(', '));
+    return {
+        url: location.href,
+        title: document.title,
+        messages: Array.from(elements).map(element => {
+            const [role, spec] = roles.find(([, candidate]) => element.matches(candidate.selector));
+            return { role, ...extract(element, spec) };
+        })
+    };
+}
+
+// Source for page.evaluate: call an in-page function with JSON args and the extractor
+const inPage = (fn, ...args) => `(${fn})(${args.map(arg => JSON.stringify(arg)).join(', ')}, ${extractMessage})`;
+
+// Send a message through an adapter and return the answer (see FORMATS). With
+// onDelta, the answer is also passed on in chunks as it renders.
+async function sendChat(page, adapter, message, { timeout, format = 'markdown', onDelta } = {}) {
+    const options = { timeout: timeout || adapter.timeout || DEFAULT_TIMEOUT, format };
+    let streamed = false;
+    if (onDelta) {
+        options.streamId = nextStreamId++;
+        streams.set(options.streamId, (chunk) => {
+            streamed = true;
+            onDelta(chunk);
+        });
+    }
+    try {
+        const result = await page.evaluate(inPage(runChat, adapter, message, options));
+        if (result.error) {
+            throw new CommandError(result.code, result.error, { adapter: adapter.name });
+        }
+        // Pages without the binding (e.g. opened before setupChat) stream in one piece
+        if (onDelta && !streamed) {
+            onDelta({ type: 'delta', text: format === 'json' ? result.response.markdown : result.response });
+        }
+        return result.response;
+    } finally {
+        streams.delete(options.streamId);
+    }
+}
+
+// The conversation open in the page: { adapter, url, title, exportedAt, messages }
+async function readHistory(page, adapter) {
+    const conversation = await page.evaluate(inPage(readConversation, adapter));
+    return { adapter: adapter.name, ...conversation, exportedAt: new Date().toISOString() };
+}
+
+// A conversation from readHistory as a markdown document
+function historyToMarkdown(history) {
+    const headings = { user: 'User', assistant: 'Assistant' };
+    const sections = history.messages.map(message => {
+        // Attachments not already shown inline, such as generated files
+        const extra = message.attachments.filter(attachment => attachment.url && !message.markdown.includes(attachment.url));
+        return [
+            `## ${headings[message.role]}`,
+            message.markdown || '_(empty)_',
+            ...(extra.length ? [extra.map(attachment => `- [${attachment.name || attachment.type}](${attachment.url})`).join('\n')] : [])
+        ].join('\n\n');
+    });
+    return `${[`# ${history.title || history.url}`, `${history.url} (exported ${history.exportedAt})`, ...sections].join('\n\n')}\n`;
+}
+
+// Start a fresh conversation through the adapter's newChat
+async function newChat(page, adapter) {
+    if (!adapter.newChat) {
+        throw new CommandError('ACTION_FAILED', `Chat adapter ${adapter.name} has no newChat, so it can't start a new conversation`, { adapter: adapter.name });
+    }
+    if (adapter.newChat.url) {
+        await page.goto(adapter.newChat.url, { waitUntil: 'domcontentloaded' });
+    } else {
+        const clicked = await page.evaluate((selector) => {
+            const button = document.querySelector(selector);
+            if (button) {
+                button.click();
+            }
+            return Boolean(button);
+        }, adapter.newChat.selector);
+        if (!clicked) {
+            throw new CommandError('ELEMENT_NOT_FOUND', `New chat button ${adapter.newChat.selector} not found`, { adapter: adapter.name });
+        }
+    }
+    // A fresh conversation has no answers yet
+    try {
+        await page.waitForFunction((selector) => !document.querySelector(selector), { timeout: 10000 }, adapter.response.selector);
+    } catch (error) {
+        throw new CommandError('TIMEOUT', 'The previous conversation is still shown after starting a new one', { adapter: adapter.name });
+    }
+    return { adapter: adapter.name, url: page.url() };
+}
+
+// Give pages a matching adapter's window.chat(message) for use from eval and
+// the devtools console (window.sendMessageAndReturnResponse stays as an alias)
+function setupChat(page, { sessionDir, logger }) {
+    page.exposeFunction('__glydeChatStream', (id, chunk) => {
+        const stream = streams.get(id);
+        if (stream) {
+            stream(chunk);
+        }
+    }).catch(error => logger.debug('Chat streaming unavailable:', error.message));
+
+    page.on('load', async () => {
+        try {
+            const adapter = findAdapter(await loadAdapters(sessionDir, logger), page.url());
+            if (!adapter) {
+                return;
+            }
+            await page.evaluate(`(() => {
+                const adapter = ${JSON.stringify(adapter)};
+                const timeout = ${adapter.timeout || DEFAULT_TIMEOUT};
+                const runChat = ${runChat.toString()};
+                const extract = ${extractMessage.toString()};
+                window.chat = async (message, options = {}) => {
+                    const result = await runChat(adapter, message, { ...options, timeout: options.timeout || timeout }, extract);
+                    if (result.error) {
+                        throw new Error(result.error);
+                    }
+                    return result.response;
+                };
+                window.sendMessageAndReturnResponse = window.chat;
+            })()`);
+            logger.info(`Chat adapter ${adapter.name} ready on ${page.url()}`);
+        } catch (error) {
+            logger.debug('Chat adapter setup skipped:', error.message);
+        }
+    });
+}
+
+module.exports = {
+    FORMATS,
+    loadAdapters,
+    findAdapter,
+    sendChat,
+    readHistory,
+    historyToMarkdown,
+    newChat,
+    setupChat,
+    registerAdapter,
+    unregisterAdapter,
+    validateAdapter
+};
@@ -1,15 +1,29 @@
 #!/usr/bin/env node
 
-const net = require('net');
 const path = require('path');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const { execSync } = require('child_process');
+const readline = require('readline');
 const yargs = require('yargs');
+const { IpcClient } = require('./ipc-protocol');
+const { frameFilter, formatFrame } = require('./network-capture');
+const { QUERY_OPTIONS, readJournal, parseLines, filterEvents, formatEvent } = require('./event-journal');
+const { REPLAY_OPTIONS, resolveMacroFile, loadMacro, describeStep } = require('./macro-recorder');
+const { parseArgs: parseCommandArgs } = require('./command-schema');
+const supervisor = require('./supervisor');
 
 const SESSION_NAME = process.env.SESSION_NAME || 'default';
 const SOCKET_PATH = path.join(__dirname, 'data', 'sessions', SESSION_NAME, '.browser.sock');
 
+// Tokens after a lone "--" are arguments for the controller even if they look like
+// options (type '#q' -- --help); yargs only needs to count them
+const yargsTokens = () => {
+    const tokens = process.argv.slice(2);
+    const end = tokens.indexOf('--');
+    return end === -1 ? tokens : [...tokens.slice(0, end), ...tokens.slice(end + 1).map(() => '_')];
+};
+
 // Parse command line arguments
 const parseArgs = () => {
     const argv = yargs
@@ -18,10 +32,65 @@ const parseArgs = () => {
         .command('screenshot [name]', 'Take a screenshot')
         .command('click <selector>', 'Click an element')
         .command('type <selector> <text>', 'Type text into element')
+        .command('hover <selector>', 'Move the mouse over an element')
+        .command('select <selector> <values..>', 'Select option(s) of a <select> by value')
+        .command('press <key>', 'Press a key or combination (e.g. Enter, Control+A)')
+        .command('scroll [selector]', 'Scroll the page or an element')
+        .command('upload <selector> <files..>', 'Set the files of a file input')
+        .command('wait <ms>', 'Wait for specified milliseconds')
+        .command('wait-for <condition> [args..]', 'Wait for selector, url, network-idle, function or console')
+        .command('goto <url>', 'Navigate to a URL')
+        .command('back', 'Go back in history')
+        .command('forward', 'Go forward in history')
         .command('url', 'Get current URL')
         .command('reload', 'Reload the page')
-        .command('chat <message>', 'Send a chat message and get response')
+        .command('chat <message>', 'Send a chat message through the page\'s chat adapter and get the response; chat history [--format markdown] [--output <file>], chat new')
         .command('label <selector> [options]', 'Add a visual label to element(s)')
+        .command('state <action> [args..]', 'Manage state: save <name>, list, restore <name>, diff <a> [b], delete <name>, export <name> <file>, import <file> [name], prune')
+        .command('tabs', 'List open tabs')
+        .command('plugins', 'List plugins and what they registered')
+        .command('scripts <action> [args..]', 'Manage page scripts: list, add <file> --url <pattern>, remove|enable|disable <script>, run <file>, test <url>')
+        .command('network <action> [args..]', 'Record requests: start [--bodies], stop, clear, list [--url <pattern>], get <id>, export --har <file>')
+        .command('ws <action> [args..]', 'WebSocket and event-stream messages: list, frames [--url <pattern>] [--since <id>], tail [--url <pattern>] [--match <pattern>]')
+        .command('route <action> [args..]', 'Mock and block requests: add <pattern> [--fulfill <file>|--status <code>|--abort|--delay <ms>], list, remove|enable|disable <id>, clear, load <file>, save <file>')
+        .command('tab <action> [args..]', 'Manage tabs: new [url], use <id>, close [id], name <id> <name>')
+        .command('pipe', 'Read commands from stdin and send them over one connection')
+        .command('record <action> [file]', 'Record clicks, typing, navigation and commands: start [--name <name>], stop [file], status')
+        .command('replay <file>', 'Replay a recorded macro: replay <file|name> [--speed <x>] [--from <n>] [--to <n>] [--var name=value] [--step]')
+        .command('logs', 'Query the session event journal: logs [--type <type>] [--level <level>] [--since <time>|last-command] [--match <pattern>] [-f]')
+        .command('sessions <action> [name]', 'Manage background sessions: list, start, stop, status, logs')
+        .option('tab', {
+            type: 'string',
+            description: 'Target tab id or name (default: active tab)'
+        })
+        .option('force', {
+            type: 'boolean',
+            description: 'sessions stop: kill instead of shutting down cleanly'
+        })
+        .option('lines', {
+            type: 'number',
+            default: 50,
+            description: 'sessions logs: number of lines to show'
+        })
+        .option('follow', {
+            alias: 'f',
+            type: 'boolean',
+            description: 'sessions logs, logs: keep printing new lines'
+        })
+        .option('stream', {
+            type: 'boolean',
+            default: true,
+            description: 'chat: print the response as it renders (--no-stream waits for all of it)'
+        })
+        .option('ndjson', {
+            type: 'boolean',
+            description: 'chat: print {"type":"delta","text":...} lines and a final {"type":"done","response":...}; ws tail, logs: one JSON object per line'
+        })
+        .option('parallel', {
+            alias: 'p',
+            type: 'boolean',
+            description: 'pipe: send all commands without waiting for each result'
+        })
         .option('number', {
             alias: 'n',
             type: 'boolean',
@@ -48,7 +117,7 @@ const parseArgs = () => {
             description: 'Keep labels permanently (do not auto-remove after 5s)'
         })
         .help()
-        .argv;
+        .parse(yargsTokens());
 
     return argv;
 };
@@ -61,45 +130,372 @@ const focusChrome = () => {
     }
 };
 
-const sendCommand = async (command, args) => {
+// One connection per CLI process, reused by every command it sends
+let client = null;
+
+const getClient = async () => {
+    if (client) {
+        return client;
+    }
+
     if (!fs.existsSync(SOCKET_PATH)) {
         console.error(chalk.red('Error: Browser is not running. Start it first with ./index.js'));
         process.exit(1);
     }
 
-    // Focus Chrome window before sending command
+    // Focus Chrome window before sending commands
     focusChrome();
 
-    console.log('Sending command:', { command, args });  
+    client = new IpcClient(SOCKET_PATH);
+    await client.connect();
+    // Notifications go to stderr so pipe output stays one JSON result per line
+    client.on('event', (event) => {
+        if (event.type === 'recovery') {
+            console.error(chalk.yellow(`Browser recovery (${event.reason}): ${event.phase}${event.error ? ` - ${event.error}` : ''}`));
+        }
+    });
+    client.on('close', () => {
+        client = null;
+    });
+    return client;
+};
 
-    return new Promise((resolve, reject) => {
-        const client = net.createConnection(SOCKET_PATH, () => {
-            client.write(JSON.stringify({ command, args }));
-        });
+const closeClient = () => {
+    if (client) {
+        client.close();
+    }
+};
+
+const sendCommand = async (command, args) => {
+    const connection = await getClient();
 
-        let data = '';
+    console.log('Sending command:', { command, args });
 
-        client.on('data', (chunk) => {
-            data += chunk;
-        });
+    return connection.request(command, args);
+};
+
+// Like the controller, "chat history" and "chat new" followed by anything but
+// options ("chat new ideas for a name") is a message
+const chatSubcommandOf = (args) => {
+    if (!['history', 'new'].includes(args[0])) {
+        return 'send';
+    }
+    const rest = args.slice(1).filter(token => !['--stream', '--no-stream', '--ndjson'].includes(token));
+    for (let index = 0; index < rest.length; index++) {
+        if (!rest[index].startsWith('--')) {
+            return 'send';
+        }
+        if (!rest[index].includes('=')) {
+            index++; // The option's value
+        }
+    }
+    return args[0];
+};
+
+// Send a chat message and print the reply as it renders, as plain text or NDJSON
+const runChat = async (args, { ndjson }) => {
+    const connection = await getClient();
+    let streamed = false;
+    const response = await connection.request('chat', args, {
+        onStream: (chunk) => {
+            if (ndjson) {
+                console.log(JSON.stringify(chunk));
+                return;
+            }
+            // A reset means earlier text was rewritten; start the reply over on a new line
+            process.stdout.write(chunk.type === 'reset' ? `\n${chunk.text}` : chunk.text);
+            streamed = true;
+        }
+    });
+    if (ndjson) {
+        console.log(JSON.stringify({ type: 'done', response }));
+    } else if (streamed) {
+        process.stdout.write('\n');
+    } else {
+        console.log(response);
+    }
+};
+
+// Print the latest WebSocket/event-stream frames, then every new one until interrupted
+const runWsTail = async (args, { ndjson }) => {
+    const connection = await getClient();
+    const announced = new Set();
+    let matches = null;
+    let lastId = 0;
+    const print = (frame) => {
+        if (frame.id <= lastId || !matches(frame)) {
+            return;
+        }
+        lastId = frame.id;
+        if (ndjson) {
+            console.log(JSON.stringify(frame));
+            return;
+        }
+        if (!announced.has(frame.connection)) {
+            announced.add(frame.connection);
+            console.log(chalk.cyan(`#${frame.connection} ${frame.url || '(opened before recording started)'}`));
+        }
+        console.log(formatFrame(frame));
+    };
+
+    // Frames pushed while the latest ones are on their way wait until those are printed
+    let held = [];
+    connection.on('event', (event) => {
+        if (event.type !== 'ws-frame') {
+            return;
+        }
+        if (held) {
+            held.push(event.frame);
+        } else {
+            print(event.frame);
+        }
+    });
+    const result = await connection.request('ws', ['tail', ...args]);
+    if (result.started) {
+        console.error(chalk.yellow('Started network capture; sockets opened before now have no URL until the page reloads'));
+    }
+    matches = frameFilter(result.filters);
+    [...result.frames, ...held].forEach(print);
+    held = null;
+    console.error(chalk.gray('Waiting for frames (Ctrl+C to stop)'));
 
-        client.on('end', () => {
-            try {
-                const response = JSON.parse(data);
-                if (response.error) {
-                    reject(new Error(response.error));
+    await new Promise(resolve => connection.once('close', resolve));
+    console.error(chalk.yellow('The browser controller closed the connection'));
+};
+
+// Replay a macro and print each step as it runs; with --step, ask before each one
+const runReplay = async (tokens) => {
+    const connection = await getClient();
+    if (!tokens.includes('--step')) {
+        const result = await connection.request('replay', tokens, {
+            onStream: (chunk) => {
+                if (chunk.status === 'running') {
+                    process.stdout.write(chalk.cyan(`[${chunk.index}/${chunk.total}] `) + chunk.description);
                 } else {
-                    resolve(response.result);
+                    process.stdout.write(chunk.status === 'done' ? chalk.gray(` ok (${chunk.duration}ms)\n`) : chalk.red(' failed\n'));
                 }
-            } catch (error) {
-                reject(error);
             }
         });
+        console.log(chalk.green(`Replayed ${result.ran} step(s) of "${result.name}" in ${result.duration}ms`));
+        return;
+    }
 
-        client.on('error', (error) => {
-            reject(error);
-        });
+    // Each confirmed step is replayed on its own, so a failed one can be retried or skipped
+    const spec = { args: [{ name: 'file', required: true }], options: REPLAY_OPTIONS };
+    const { file: name, from, to, var: vars } = parseCommandArgs('replay', spec, tokens.filter(token => token !== '--step'));
+    const file = resolveMacroFile(name, supervisor.sessionPaths(SESSION_NAME).macros);
+    const macro = await loadMacro(file);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answers = rl[Symbol.asyncIterator]();
+    // End of input quits
+    const ask = async (question) => {
+        process.stdout.write(question);
+        const { value, done } = await answers.next();
+        return done ? 'q' : value;
+    };
+    const last = to || macro.steps.length;
+
+    for (let index = from || 1; index <= last; index++) {
+        const step = macro.steps[index - 1];
+        const answer = (await ask(`${chalk.cyan(`[${index}/${macro.steps.length}]`)} ${describeStep(step)} ${chalk.gray('(Enter: run, s: skip, q: quit)')} `))
+            .trim().toLowerCase();
+        if (answer === 'q') {
+            break;
+        }
+        if (answer === 's') {
+            continue;
+        }
+        try {
+            await connection.request('replay', { file, from: index, to: index, speed: 0, var: vars });
+            console.log(chalk.gray('  ok'));
+        } catch (error) {
+            console.error(chalk.red(`  ${error.message}`));
+            index--; // Ask again: Enter retries
+        }
+    }
+    rl.close();
+};
+
+// Parse one line of pipe input: either JSON ({ command, args }) or "command args..."
+const parsePipeLine = (line) => {
+    if (line.startsWith('{')) {
+        return JSON.parse(line);
+    }
+    const [command, ...args] = line.split(' ');
+    return { command, args: args.join(' ') };
+};
+
+// Send commands read from stdin over a single persistent connection and print
+// one NDJSON response per command
+const runPipe = async (parallel) => {
+    const connection = await getClient();
+    const rl = readline.createInterface({ input: process.stdin });
+    const inFlight = [];
+    let failed = false;
+    let index = 0;
+
+    for await (const rawLine of rl) {
+        const line = rawLine.trim();
+        if (!line) {
+            continue;
+        }
+
+        const seq = ++index;
+        let message;
+        try {
+            message = parsePipeLine(line);
+        } catch (error) {
+            failed = true;
+            console.log(JSON.stringify({ seq, error: `Invalid input: ${error.message}` }));
+            continue;
+        }
+
+        const request = connection.request(message.command, message.args)
+            .then(result => console.log(JSON.stringify({ seq, command: message.command, result })))
+            .catch(error => {
+                failed = true;
+                console.log(JSON.stringify({ seq, command: message.command, error: error.message }));
+            });
+
+        if (parallel) {
+            inFlight.push(request);
+        } else {
+            await request;
+        }
+    }
+
+    await Promise.all(inFlight);
+    return !failed;
+};
+
+const STATE_COLORS = { running: 'green', starting: 'cyan', restarting: 'yellow', unhealthy: 'yellow', crashed: 'red', stopped: 'gray' };
+
+const printSession = (status) => {
+    const color = chalk[STATE_COLORS[status.state]] || chalk.white;
+    const pids = [status.pid && `pid ${status.pid}`, status.supervisorPid && `supervisor ${status.supervisorPid}`]
+        .filter(Boolean).join(', ');
+    console.log(`  ${status.name.padEnd(20)} ${color(status.state.padEnd(10))} ${chalk.gray(pids)}`);
+};
+
+// Newest combined log plus the supervisor's output, last `lines` lines of each
+const showLogs = async (name, { lines, follow }) => {
+    const paths = supervisor.sessionPaths(name);
+    const combined = fs.existsSync(paths.logs)
+        ? fs.readdirSync(paths.logs).filter(file => file.startsWith('combined-')).sort().pop()
+        : null;
+    const files = [combined && path.join(paths.logs, combined), paths.daemonLog].filter(file => file && fs.existsSync(file));
+    if (!files.length) {
+        console.log(chalk.yellow(`No logs for session "${name}"`));
+        return;
+    }
+
+    const offsets = new Map();
+    files.forEach(file => {
+        console.log(chalk.cyan(`==> ${file} <==`));
+        const content = fs.readFileSync(file, 'utf8');
+        console.log(content.split('\n').filter(Boolean).slice(-lines).join('\n'));
+        offsets.set(file, Buffer.byteLength(content));
     });
+
+    while (follow) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        files.forEach(file => {
+            const size = fs.statSync(file).size;
+            const offset = offsets.get(file);
+            if (size > offset) {
+                const fd = fs.openSync(file, 'r');
+                const buffer = Buffer.alloc(size - offset);
+                fs.readSync(fd, buffer, 0, buffer.length, offset);
+                fs.closeSync(fd);
+                process.stdout.write(buffer.toString('utf8'));
+            }
+            offsets.set(file, size);
+        });
+    }
+};
+
+const LEVEL_COLORS = { debug: 'gray', info: 'white', warn: 'yellow', error: 'red' };
+
+// The session's event journal is read directly, so it can be queried after the controller is gone
+const runLogs = async (tokens, { follow, ndjson }) => {
+    const file = supervisor.sessionPaths(SESSION_NAME).journal;
+    const filters = parseCommandArgs('logs', { options: QUERY_OPTIONS }, tokens);
+    const print = (event) => console.log(ndjson ? JSON.stringify(event) : chalk[LEVEL_COLORS[event.level] || 'white'](formatEvent(event)));
+
+    if (!fs.existsSync(file)) {
+        console.log(chalk.yellow(`No event journal for session "${SESSION_NAME}" yet`));
+        return;
+    }
+    filterEvents(await readJournal(file), filters).forEach(print);
+
+    // New events pass the same filters; they are all later than any --since
+    let offset = fs.statSync(file).size;
+    let partial = '';
+    while (follow) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        if (size < offset) {
+            offset = 0; // Rotated
+            partial = '';
+        }
+        if (size > offset) {
+            const fd = fs.openSync(file, 'r');
+            const buffer = Buffer.alloc(size - offset);
+            fs.readSync(fd, buffer, 0, buffer.length, offset);
+            fs.closeSync(fd);
+            offset = size;
+            const lines = (partial + buffer.toString('utf8')).split('\n');
+            partial = lines.pop();
+            filterEvents(parseLines(lines.join('\n')), { ...filters, since: undefined, limit: undefined }).forEach(print);
+        }
+    }
+};
+
+// Session management runs locally; it doesn't need a running controller
+const runSessions = async (action, name, argv) => {
+    switch (action) {
+        case 'list': {
+            const sessions = await supervisor.listSessions();
+            if (!sessions.length) {
+                console.log(chalk.yellow('No sessions yet'));
+            }
+            sessions.forEach(printSession);
+            return;
+        }
+        case 'start': {
+            console.log(chalk.cyan(`Starting session "${name}"...`));
+            const status = await supervisor.startSession(name);
+            console.log(chalk.green(`Session "${name}" running (pid ${status.pid}). Use SESSION_NAME=${name} ./cli.js <command>`));
+            return;
+        }
+        case 'stop': {
+            const status = await supervisor.stopSession(name, { force: argv.force });
+            console.log(status.stopped
+                ? chalk.green(`Session "${name}" stopped`)
+                : chalk.yellow(`Session "${name}" was not running${status.state === 'crashed' ? ' (cleaned up after a crash)' : ''}`));
+            return;
+        }
+        case 'status': {
+            const status = await supervisor.getStatus(name);
+            printSession(status);
+            if (status.health && status.health.ok) {
+                const { browser, tabs, url, uptime } = status.health;
+                console.log(chalk.gray(`    up ${uptime}s, ${tabs} tab(s), browser ${browser.mode} ` +
+                    `${browser.connected ? 'connected' : 'disconnected'}${url ? `, ${url}` : ''}`));
+            } else if (status.health) {
+                console.log(chalk.yellow(`    health check failed: ${status.health.error}`));
+            }
+            if (!['running', 'stopped'].includes(status.state)) {
+                process.exitCode = 1;
+            }
+            return;
+        }
+        case 'logs':
+            await showLogs(name, argv);
+            return;
+        default:
+            throw new Error(`Unknown sessions action "${action}" (expected list, start, stop, status or logs)`);
+    }
 };
 
 // Main
@@ -113,11 +509,87 @@ const sendCommand = async (command, args) => {
         }
 
         let command = argv._[0];
-        let args = argv._.slice(1).join(' ');
 
-        if (command === 'eval') {
-            // For eval, preserve the exact expression
-            args = process.argv.slice(3).join(' ');
+        // Send the raw tokens; the browser controller parses them against the
+        // command's schema, so quoting done by the shell is preserved
+        let args = process.argv.slice(3);
+
+        if (command === 'upload') {
+            // File paths are relative to where the CLI runs, not the controller
+            args = args.map((token, index) =>
+                index > 0 && !token.startsWith('--') && fs.existsSync(token) ? path.resolve(token) : token
+            );
+        }
+
+        if (command === 'state' && ['export', 'import'].includes(args[0])) {
+            // Bundle paths are relative to where the CLI runs too
+            const fileIndex = args[0] === 'export' ? 2 : 1;
+            if (args[fileIndex] && !args[fileIndex].startsWith('--')) {
+                args[fileIndex] = path.resolve(args[fileIndex]);
+            }
+        }
+
+        if (command === 'scripts' && ['add', 'run'].includes(args[0]) && args[1] && !args[1].startsWith('--')) {
+            args[1] = path.resolve(args[1]);
+        }
+
+        if (command === 'route' && ['load', 'save'].includes(args[0]) && args[1] && !args[1].startsWith('--')) {
+            args[1] = path.resolve(args[1]);
+        }
+        if (command === 'route' && args[0] === 'add' && args.includes('--fulfill') && args[args.indexOf('--fulfill') + 1]) {
+            args[args.indexOf('--fulfill') + 1] = path.resolve(args[args.indexOf('--fulfill') + 1]);
+        }
+
+        if (command === 'replay' || (command === 'record' && args[0] === 'stop')) {
+            // Macro paths are relative to where the CLI runs; bare names are looked up in the session
+            const fileIndex = command === 'replay' ? 0 : 1;
+            if (args[fileIndex] && !args[fileIndex].startsWith('--') && /[\\/]|\.json$/.test(args[fileIndex])) {
+                args[fileIndex] = path.resolve(args[fileIndex]);
+            }
+        }
+
+        const chatSubcommand = command === 'chat' ? chatSubcommandOf(args) : null;
+
+        // Output files are relative to where the CLI runs
+        const outputFlag = (command === 'chat' && chatSubcommand === 'history' && '--output') ||
+            (command === 'network' && args[0] === 'export' && '--har');
+        if (outputFlag && args.indexOf(outputFlag) !== -1 && args[args.indexOf(outputFlag) + 1]) {
+            args[args.indexOf(outputFlag) + 1] = path.resolve(args[args.indexOf(outputFlag) + 1]);
+        }
+
+        // JSON answers are printed whole; NDJSON still streams the markdown
+        if (command === 'chat' && chatSubcommand === 'send' && (argv.ndjson || (argv.stream && argv.format !== 'json'))) {
+            // CLI-only flags; the controller would take them for part of the message
+            await runChat(args.filter(token => !['--stream', '--no-stream', '--ndjson'].includes(token)), argv);
+            closeClient();
+            process.exit();
+        }
+
+        if (command === 'ws' && args[0] === 'tail') {
+            await runWsTail(args.slice(1).filter(token => token !== '--ndjson'), argv);
+            process.exit();
+        }
+
+        if (command === 'replay') {
+            await runReplay(args);
+            closeClient();
+            process.exit();
+        }
+
+        if (command === 'logs') {
+            await runLogs(args.filter(token => !['--follow', '-f', '--ndjson'].includes(token)), argv);
+            process.exit();
+        }
+
+        if (command === 'sessions') {
+            await runSessions(argv.action, argv.name || SESSION_NAME, argv);
+            process.exit();
+        }
+
+        if (command === 'pipe') {
+            const ok = await runPipe(argv.parallel);
+            closeClient();
+            process.exit(ok ? 0 : 1);
         }
 
         if (command === 'label') {
@@ -209,7 +681,7 @@ const sendCommand = async (command, args) => {
             };
             await sendCommand(labelCommand.command, labelCommand.args);
         } else {
-            const result = await sendCommand(command, args);
+            const result = await sendCommand(command, command === 'chat' ? args.filter(token => token !== '--no-stream') : args);
             
             if (result !== undefined) {
                 if (typeof result === 'string') {
@@ -219,8 +691,12 @@ const sendCommand = async (command, args) => {
                 }
             }
         }
+        closeClient();
     } catch (error) {
         console.error(chalk.red('\nError:', error.message));
+        if (error.details && error.details.usage) {
+            console.error(chalk.yellow('Usage:', error.details.usage));
+        }
         process.exit(1);
     }
 })();
@@ -0,0 +1,425 @@
+const { CommandError } = require('./errors');
+
+// Command specs describe positional args and --options:
+//
+//   {
+//       description: 'Type text into an element',
+//       args: [
+//           { name: 'selector', type: 'string', required: true },
+//           { name: 'text', type: 'string', required: true, rest: true }
+//       ],
+//       options: { delay: { type: 'number', description: 'Delay between keys (ms)' } }
+//   }
+//
+// Types are string, number, boolean and array (of strings). A `rest` arg collects the
+// remaining tokens; `rest: 'raw'` takes the remaining input verbatim (for JavaScript),
+// apart from declared options at its start or end. A lone `--` ends the options, so
+// later tokens are arguments even when they start with `--` (type '#q' -- --help).
+// Specs with `subcommands` dispatch on the first token and set args.subcommand;
+// with `defaultSubcommand`, input that doesn't start with one goes to that one, and
+// so does input whose first word names another subcommand that takes no further
+// arguments ("chat new ideas for a name" sends a message, "chat new" doesn't).
+//
+// Args arrive as an object (structured clients), a token array (cli.js) or a
+// string (REPL and legacy clients), and are all validated the same way.
+
+const TYPES = ['string', 'number', 'boolean', 'array'];
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+const kebabCase = (name) => name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+
+// Reads shell-like tokens from a string, honouring single and double quotes
+function createStringSource(input) {
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < input.length && /\s/.test(input[pos])) {
+            pos++;
+        }
+    };
+
+    return {
+        next() {
+            skipSpace();
+            if (pos >= input.length) {
+                return null;
+            }
+            let value = '';
+            while (pos < input.length && !/\s/.test(input[pos])) {
+                const ch = input[pos];
+                if (ch === '"' || ch === "'") {
+                    let end = pos + 1;
+                    let quoted = '';
+                    while (end < input.length && input[end] !== ch) {
+                        if (ch === '"' && input[end] === '\\' && end + 1 < input.length) {
+                            end++;
+                        }
+                        quoted += input[end++];
+                    }
+                    if (end >= input.length) {
+                        throw new CommandError('INVALID_ARGS', 'Unterminated quote in arguments');
+                    }
+                    value += quoted;
+                    pos = end + 1;
+                } else {
+                    value += ch;
+                    pos++;
+                }
+            }
+            return value;
+        },
+
+        peek() {
+            const start = pos;
+            const token = this.next();
+            pos = start;
+            return token;
+        },
+
+        save() {
+            return pos;
+        },
+
+        restore(saved) {
+            pos = saved;
+        },
+
+        peekOption() {
+            skipSpace();
+            const match = input.slice(pos).match(/^--([a-zA-Z][\w-]*)/);
+            return match ? match[1] : null;
+        },
+
+        rest(findOption) {
+            skipSpace();
+            let remaining = input.slice(pos).trimEnd();
+            pos = input.length;
+
+            // Peel known options off the end ("expr --timeout 500"); values must be unquoted
+            const trailing = [];
+            let match;
+            while ((match = remaining.match(/\s--([a-zA-Z][\w-]*)(?:(?:=|\s+)([^\s'"-][^\s'"]*))?$/))) {
+                const option = findOption(match[1]);
+                const needsValue = option && option.type !== 'boolean';
+                if (!option || (needsValue && match[2] === undefined)) {
+                    break;
+                }
+                if (!needsValue && match[2] !== undefined) {
+                    // "--force value": the value belongs to the expression
+                    break;
+                }
+                trailing.unshift([match[1], needsValue ? match[2] : true]);
+                remaining = remaining.slice(0, match.index).trimEnd();
+            }
+            return { text: remaining, trailing };
+        }
+    };
+}
+
+function createArraySource(tokens) {
+    let index = 0;
+
+    return {
+        next() {
+            return index < tokens.length ? String(tokens[index++]) : null;
+        },
+
+        peek() {
+            return index < tokens.length ? String(tokens[index]) : null;
+        },
+
+        save() {
+            return index;
+        },
+
+        restore(saved) {
+            index = saved;
+        },
+
+        peekOption() {
+            const match = index < tokens.length && String(tokens[index]).match(/^--([a-zA-Z][\w-]*)/);
+            return match ? match[1] : null;
+        },
+
+        rest(findOption) {
+            let end = tokens.length;
+            const trailing = [];
+
+            // Peel known options off the end ("expr --timeout 500")
+            for (;;) {
+                const last = end > index ? String(tokens[end - 1]) : '';
+                const flag = last.match(/^--([a-zA-Z][\w-]*)(?:=(.*))?$/);
+                if (flag && findOption(flag[1]) && (findOption(flag[1]).type === 'boolean' || flag[2] !== undefined)) {
+                    trailing.unshift([flag[1], flag[2] !== undefined ? flag[2] : true]);
+                    end -= 1;
+                    continue;
+                }
+                const previous = end - 1 > index ? String(tokens[end - 2]).match(/^--([a-zA-Z][\w-]*)$/) : null;
+                const option = previous && findOption(previous[1]);
+                if (option && option.type !== 'boolean') {
+                    trailing.unshift([previous[1], last]);
+                    end -= 2;
+                    continue;
+                }
+                break;
+            }
+
+            const text = tokens.slice(index, end).join(' ');
+            index = tokens.length;
+            return { text, trailing };
+        }
+    };
+}
+
+function invalid(name, message, spec) {
+    return new CommandError('INVALID_ARGS', `Invalid arguments for "${name}": ${message}`, {
+        usage: formatUsage(name, spec)
+    });
+}
+
+function parseTokens(name, spec, source) {
+    if (spec.subcommands) {
+        const first = source.peek();
+        if (spec.defaultSubcommand && first !== spec.defaultSubcommand && first !== null && spec.subcommands[first]) {
+            const start = source.save();
+            source.next();
+            try {
+                return { subcommand: first, ...parseTokens(`${name} ${first}`, spec.subcommands[first], source) };
+            } catch (error) {
+                if (!error.unexpectedArgument) {
+                    throw error;
+                }
+                source.restore(start);
+                const fallback = spec.defaultSubcommand;
+                return { subcommand: fallback, ...parseTokens(`${name} ${fallback}`, spec.subcommands[fallback], source) };
+            }
+        }
+        const subcommand = spec.defaultSubcommand && !(first !== null && spec.subcommands[first])
+            ? spec.defaultSubcommand
+            : source.next();
+        const subSpec = subcommand && spec.subcommands[subcommand];
+        if (!subSpec) {
+            throw invalid(name, subcommand ? `unknown subcommand "${subcommand}"` : 'missing subcommand', spec);
+        }
+        return { subcommand, ...parseTokens(`${name} ${subcommand}`, subSpec, source) };
+    }
+
+    const positionals = spec.args || [];
+    const options = spec.options || {};
+    const values = {};
+    let argIndex = 0;
+    // After a lone "--" every token is an argument, even one starting with "--"
+    let optionsEnded = false;
+
+    for (;;) {
+        const current = positionals[argIndex];
+
+        if (!optionsEnded && source.peek() === '--') {
+            source.next();
+            optionsEnded = true;
+            continue;
+        }
+
+        // Options may come before or after a raw argument; the rest is verbatim
+        if (current && current.rest === 'raw') {
+            const option = !optionsEnded && source.peekOption();
+            if (!option || !options[camelCase(option)]) {
+                const { text, trailing } = source.rest(flag => !optionsEnded && options[camelCase(flag)]);
+                if (text) {
+                    values[current.name] = text;
+                }
+                trailing.forEach(([flag, value]) => {
+                    values[camelCase(flag)] = value;
+                });
+                break;
+            }
+        }
+
+        const token = source.next();
+        if (token === null) {
+            break;
+        }
+
+        const optionMatch = !optionsEnded && token.match(/^--([a-zA-Z][\w-]*)(?:=(.*))?$/);
+        if (optionMatch) {
+            const key = camelCase(optionMatch[1]);
+            const option = options[key];
+            if (!option) {
+                throw invalid(name, `unknown option --${optionMatch[1]}`, spec);
+            }
+            if (option.type === 'boolean') {
+                values[key] = optionMatch[2] === undefined ? true : optionMatch[2];
+            } else {
+                const value = optionMatch[2] !== undefined ? optionMatch[2] : source.next();
+                if (value === null) {
+                    throw invalid(name, `option --${optionMatch[1]} needs a value`, spec);
+                }
+                values[key] = option.type === 'array' ? [...(values[key] || []), value] : value;
+            }
+            continue;
+        }
+
+        if (!current) {
+            const error = invalid(name, `unexpected argument "${token}"`, spec);
+            error.unexpectedArgument = true;
+            throw error;
+        }
+        if (current.rest) {
+            values[current.name] = [...(values[current.name] || []), token];
+            continue;
+        }
+        values[current.name] = token;
+        argIndex++;
+    }
+
+    // Rest strings are collected as tokens; join them back up
+    positionals
+        .filter(arg => arg.rest === true && arg.type !== 'array' && Array.isArray(values[arg.name]))
+        .forEach(arg => {
+            values[arg.name] = values[arg.name].join(' ');
+        });
+
+    return values;
+}
+
+function coerce(name, spec, key, value, type, choices) {
+    let result = value;
+
+    switch (type) {
+        case 'number':
+            result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof result !== 'number' || Number.isNaN(result)) {
+                throw invalid(name, `${key} must be a number`, spec);
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                result = value === 'true';
+            }
+            if (typeof result !== 'boolean') {
+                throw invalid(name, `${key} must be true or false`, spec);
+            }
+            break;
+        case 'array':
+            result = Array.isArray(value) ? value : [value];
+            if (result.some(item => typeof item !== 'string')) {
+                throw invalid(name, `${key} must be a list of strings`, spec);
+            }
+            break;
+        default:
+            if (typeof value === 'number') {
+                result = String(value);
+            }
+            if (typeof result !== 'string') {
+                throw invalid(name, `${key} must be a string`, spec);
+            }
+    }
+
+    const items = Array.isArray(result) ? result : [result];
+    if (choices && items.some(item => !choices.includes(item))) {
+        throw invalid(name, `${key} must be one of: ${choices.join(', ')}`, spec);
+    }
+    return result;
+}
+
+// Check required args, coerce types and reject unknown keys
+function validateArgs(name, spec, input) {
+    if (spec.subcommands) {
+        const { subcommand = spec.defaultSubcommand, ...rest } = input;
+        const subSpec = subcommand && spec.subcommands[subcommand];
+        if (!subSpec) {
+            throw invalid(name, subcommand ? `unknown subcommand "${subcommand}"` : 'missing subcommand', spec);
+        }
+        return { subcommand, ...validateArgs(`${name} ${subcommand}`, subSpec, rest) };
+    }
+
+    const fields = {};
+    (spec.args || []).forEach(arg => {
+        fields[arg.name] = arg;
+    });
+    Object.entries(spec.options || {}).forEach(([key, option]) => {
+        fields[key] = option;
+    });
+
+    const values = {};
+    for (const [key, value] of Object.entries(input)) {
+        const field = fields[key];
+        if (!field) {
+            throw invalid(name, `unknown argument "${key}"`, spec);
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+        values[key] = coerce(name, spec, key, value, field.type || 'string', field.choices);
+    }
+
+    for (const arg of spec.args || []) {
+        const missing = values[arg.name] === undefined ||
+            (arg.type === 'array' && values[arg.name].length === 0);
+        if (arg.required && missing) {
+            throw invalid(name, `missing required argument <${arg.name}>`, spec);
+        }
+    }
+    for (const [key, option] of Object.entries(spec.options || {})) {
+        if (values[key] === undefined && option.default !== undefined) {
+            values[key] = option.default;
+        }
+    }
+
+    return values;
+}
+
+// Turn whatever the client sent into a validated args object
+function parseArgs(name, spec, input) {
+    if (input === undefined || input === null || input === '') {
+        return validateArgs(name, spec, spec.subcommands && !spec.defaultSubcommand ? {} : parseTokens(name, spec, createArraySource([])));
+    }
+    if (typeof input === 'string') {
+        return validateArgs(name, spec, parseTokens(name, spec, createStringSource(input)));
+    }
+    if (Array.isArray(input)) {
+        return validateArgs(name, spec, parseTokens(name, spec, createArraySource(input)));
+    }
+    if (typeof input === 'object') {
+        return validateArgs(name, spec, input);
+    }
+    throw invalid(name, 'args must be an object, array or string', spec);
+}
+
+function formatArgs(spec) {
+    return (spec.args || []).map(arg => {
+        const label = arg.type === 'array' ? `${arg.name}..` : arg.name;
+        return arg.required ? `<${label}>` : `[${label}]`;
+    }).join(' ');
+}
+
+function formatUsage(name, spec) {
+    if (spec.subcommands) {
+        return Object.entries(spec.subcommands)
+            .map(([sub, subSpec]) => `${name} ${sub} ${formatArgs(subSpec)}`.trim())
+            .join('\n');
+    }
+    return `${name} ${formatArgs(spec)}`.trim();
+}
+
+// Option lines for detailed help, e.g. "--delay <number>  Delay between keys (ms)"
+function formatOptions(spec) {
+    return Object.entries(spec.options || {}).map(([key, option]) => {
+        const placeholder = option.choices ? option.choices.join('|') : (option.valueName || option.type);
+        const value = option.type === 'boolean' ? '' : ` <${placeholder}>`;
+        return { flag: `--${kebabCase(key)}${value}`, description: option.description || '' };
+    });
+}
+
+function assertValidSpec(name, spec) {
+    const check = (label, fieldSpec) => {
+        if (fieldSpec.type && !TYPES.includes(fieldSpec.type)) {
+            throw new Error(`Command "${name}": ${label} has unknown type "${fieldSpec.type}"`);
+        }
+    };
+    (spec.args || []).forEach(arg => check(`argument ${arg.name}`, arg));
+    Object.entries(spec.options || {}).forEach(([key, option]) => check(`option ${key}`, option));
+    Object.entries(spec.subcommands || {}).forEach(([sub, subSpec]) => assertValidSpec(`${name} ${sub}`, subSpec));
+}
+
+module.exports = { parseArgs, formatUsage, formatOptions, assertValidSpec };
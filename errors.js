@@ -0,0 +1,11 @@
+// Error with a machine-readable code, returned to clients as { error, code, details }
+class CommandError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = { CommandError };
@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const { CommandError } = require('./errors');
+const { compilePattern } = require('./url-matcher');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const EVENT_TYPES = ['console', 'pageerror', 'requestfailed', 'navigation', 'command', 'result', 'recovery'];
+const SOURCES = ['page', 'controller', 'socket', 'http', 'repl', 'replay'];
+
+// Console message types by journal level; anything else is info
+const CONSOLE_LEVELS = { error: 'error', assert: 'error', warning: 'warn', debug: 'debug', trace: 'debug' };
+
+// Command args and results longer than this are cut down in the journal
+const MAX_VALUE_LENGTH = 1000;
+
+// Commands whose args hold typed text, or whose results hold page data or
+// secrets; these are never journaled, even with journal.commandDetails
+const SECRET_ARGS = ['type', 'press', 'chat'];
+const SECRET_RESULTS = ['type', 'press', 'eval', 'state', 'chat'];
+const REDACTED = '[redacted]';
+
+// replay --var name=value args keep the name
+function redactVar(entry) {
+    const separator = typeof entry === 'string' ? entry.indexOf('=') : -1;
+    return separator > 0 ? `${entry.slice(0, separator + 1)}${REDACTED}` : REDACTED;
+}
+
+function redactVars(args) {
+    if (Array.isArray(args)) {
+        return args.map((token, index) => {
+            if (args[index - 1] === '--var') {
+                return redactVar(token);
+            }
+            return typeof token === 'string' && token.startsWith('--var=') ? `--var=${redactVar(token.slice(6))}` : token;
+        });
+    }
+    if (typeof args === 'string') {
+        return /--var\b/.test(args) ? REDACTED : args;
+    }
+    if (args && typeof args === 'object' && args.var !== undefined) {
+        return { ...args, var: [].concat(args.var).map(redactVar) };
+    }
+    return args;
+}
+
+// Query options shared by the logs command and ./cli.js logs, which reads the
+// journal itself so it also works after the controller is gone
+const QUERY_OPTIONS = {
+    type: { type: 'array', choices: EVENT_TYPES, description: 'Only these event types (repeatable)' },
+    level: { type: 'string', choices: LEVELS, description: 'Only events at this level or above' },
+    source: { type: 'string', choices: SOURCES, description: 'Only events from this source' },
+    tab: { type: 'number', valueName: 'id', description: 'Only events of this tab' },
+    since: { type: 'string', valueName: 'time', description: 'From an ISO time, a duration ago (30s, 10m, 2h), #<seq> or last-command' },
+    until: { type: 'string', valueName: 'time', description: 'Up to an ISO time, a duration ago or #<seq>' },
+    match: { type: 'string', valueName: 'pattern', description: 'Event text substring, glob or /regex/' },
+    limit: { type: 'number', default: 100, description: 'Only the last <n> events (default: 100)' }
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// A value that fits on a journal line: long strings and large objects are cut down
+function brief(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (typeof value === 'string') {
+        return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}... (${value.length} chars)` : value;
+    }
+    const json = JSON.stringify(value);
+    if (json === undefined) {
+        return null;
+    }
+    return json.length > MAX_VALUE_LENGTH ? { truncated: true, size: json.length } : value;
+}
+
+// The text logs prints for an event, also what --match is tested against
+function describeEvent(event) {
+    switch (event.type) {
+        case 'console':
+            return event.text;
+        case 'pageerror':
+            return event.message;
+        case 'requestfailed':
+            return `${event.method} ${event.url} ${event.failure || ''}`.trim();
+        case 'navigation':
+            return event.url;
+        case 'command':
+            if (event.args === undefined) {
+                return event.command;
+            }
+            return `${event.command} ${typeof event.args === 'string' ? event.args : JSON.stringify(event.args)}`.trim();
+        case 'result':
+            return event.ok
+                ? `${event.command} ok in ${event.duration}ms`
+                : `${event.command} failed in ${event.duration}ms: ${event.error}`;
+        case 'recovery':
+            return `${event.reason} ${event.phase}${event.error ? `: ${event.error}` : ''}`;
+        default:
+            return JSON.stringify(event);
+    }
+}
+
+// "#42 12:00:01.250 error console [page] tab 1: Uncaught x"
+function formatEvent(event) {
+    const tab = event.tab !== undefined && event.tab !== null ? ` tab ${event.tab}` : '';
+    return `#${event.seq} ${event.at.slice(11, 23)} ${event.level} ${event.type} [${event.source}]${tab}: ${describeEvent(event)}`;
+}
+
+// A --since/--until value as a predicate bound, given the events being searched
+function parseBound(value, events, option) {
+    if (value === 'last-command') {
+        const last = events.filter(event => event.type === 'command').pop();
+        return last ? { seq: last.seq } : { seq: 0 };
+    }
+    const seq = value.match(/^#(\d+)$/);
+    if (seq) {
+        return { seq: Number(seq[1]) };
+    }
+    const duration = value.match(/^(\d+(?:\.\d+)?)([smhd])$/);
+    if (duration) {
+        return { time: Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]] };
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new CommandError('INVALID_ARGS', `--${option} must be an ISO time, a duration like 10m, #<seq> or last-command, not "${value}"`);
+    }
+    return { time };
+}
+
+function filterEvents(events, { type, level, source, tab, since, until, match, limit } = {}) {
+    const minLevel = level ? LEVELS.indexOf(level) : 0;
+    const pattern = match && compilePattern(match);
+    const from = since && parseBound(since, events, 'since');
+    const to = until && parseBound(until, events, 'until');
+    const notBefore = (event, bound) => (bound.seq !== undefined ? event.seq >= bound.seq : Date.parse(event.at) >= bound.time);
+    const notAfter = (event, bound) => (bound.seq !== undefined ? event.seq <= bound.seq : Date.parse(event.at) <= bound.time);
+
+    const matches = events.filter(event =>
+        (!type || type.includes(event.type)) &&
+        LEVELS.indexOf(event.level) >= minLevel &&
+        (!source || event.source === source) &&
+        (tab === undefined || event.tab === tab) &&
+        (!from || notBefore(event, from)) &&
+        (!to || notAfter(event, to)) &&
+        (!pattern || pattern.test(describeEvent(event)))
+    );
+    return limit ? matches.slice(-limit) : matches;
+}
+
+function parseLines(content) {
+    return content.split('\n').filter(Boolean).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            return []; // A line cut short by a crash
+        }
+    });
+}
+
+// Events in a journal file and the one rotated out before it, oldest first
+async function readJournal(file) {
+    const contents = await Promise.all([`${file}.1`, file].map(candidate =>
+        fs.readFile(candidate, 'utf8').catch(error => {
+            if (error.code === 'ENOENT') {
+                return '';
+            }
+            throw error;
+        })));
+    return parseLines(contents.join('\n'));
+}
+
+// Append-only NDJSON record of what happened in a session: page console
+// messages, errors, failed requests and navigations, commands and their
+// results, and browser recovery. Each line is one event:
+//
+//   { seq, at, type, source, level, tab, ...details }
+//
+// Lines are appended synchronously so the events leading up to a crash or an
+// exit are on disk. The file is rotated to <file>.1 once it grows past maxSize.
+class EventJournal {
+    constructor({ file, logger, maxSize = DEFAULT_MAX_SIZE, commandDetails = false }) {
+        this.file = file;
+        this.logger = logger;
+        this.maxSize = maxSize;
+        this.commandDetails = commandDetails;
+        this.seq = 0;
+        this.size = 0;
+        this.opened = false;
+    }
+
+    // Continues the sequence of an existing journal so #<seq> bounds stay meaningful
+    async open() {
+        await fs.ensureFile(this.file);
+        const events = await readJournal(this.file);
+        this.seq = events.length ? events[events.length - 1].seq : 0;
+        this.size = (await fs.stat(this.file)).size;
+        this.opened = true;
+    }
+
+    record({ type, source, level = 'info', ...details }) {
+        if (!this.opened) {
+            return null;
+        }
+        const event = { seq: ++this.seq, at: new Date().toISOString(), type, source, level, ...details };
+        const line = JSON.stringify(event) + '\n';
+        try {
+            if (this.size + line.length > this.maxSize && this.size > 0) {
+                fs.renameSync(this.file, `${this.file}.1`);
+                this.size = 0;
+            }
+            fs.appendFileSync(this.file, line);
+            this.size += Buffer.byteLength(line);
+        } catch (error) {
+            this.logger.error('Event journal write failed:', error);
+        }
+        return event;
+    }
+
+    // A command's args or result as journaled: left out unless commandDetails
+    // is on, and redacted for commands that handle secrets
+    commandValue(command, kind, value) {
+        if (!this.commandDetails || value === undefined) {
+            return undefined;
+        }
+        const secret = kind === 'args' ? SECRET_ARGS : SECRET_RESULTS;
+        if (secret.includes(command)) {
+            return REDACTED;
+        }
+        return brief(command === 'replay' && kind === 'args' ? redactVars(value) : value);
+    }
+
+    async query(filters) {
+        return filterEvents(await readJournal(this.file), filters);
+    }
+}
+
+module.exports = {
+    EventJournal,
+    QUERY_OPTIONS,
+    CONSOLE_LEVELS,
+    readJournal,
+    parseLines,
+    filterEvents,
+    formatEvent,
+    brief
+};
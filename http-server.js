@@ -0,0 +1,142 @@
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_HOST = '127.0.0.1';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+// HTTP status for CommandError codes; anything else is a 500
+const ERROR_STATUS = {
+    UNKNOWN_COMMAND: 404,
+    INVALID_ARGS: 400,
+    ELEMENT_NOT_FOUND: 404,
+    FILE_NOT_FOUND: 404,
+    STATE_NOT_FOUND: 404,
+    STATE_LOCKED: 403,
+    SCRIPT_NOT_FOUND: 404,
+    CHAT_ADAPTER_NOT_FOUND: 404,
+    REQUEST_NOT_FOUND: 404,
+    ROUTE_NOT_FOUND: 404,
+    INVALID_ROUTES: 400,
+    INVALID_MANIFEST: 400,
+    INVALID_MACRO: 400,
+    RECORDING_ACTIVE: 409,
+    NOT_RECORDING: 409,
+    BROWSER_UNAVAILABLE: 503,
+    BROWSER_CRASHED: 503
+};
+
+// Reject requests whose Host header isn't local (guards against DNS rebinding)
+function isLocalHost(hostHeader) {
+    if (!hostHeader) {
+        return false;
+    }
+    const hostname = hostHeader.startsWith('[')
+        ? hostHeader.slice(0, hostHeader.indexOf(']') + 1)
+        : hostHeader.split(':')[0];
+    return LOCAL_HOSTNAMES.includes(hostname);
+}
+
+function isAuthorized(req, token) {
+    if (!token) {
+        return true;
+    }
+    const header = req.headers.authorization || '';
+    if (header === `Bearer ${token}`) {
+        return true;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token') === token;
+}
+
+// Start the opt-in localhost control API. Every entry in browserInterface.commands
+// is reachable at POST /commands/<name>, and page events stream over ws://.../events.
+async function startHttpServer(browserInterface, logger, { port, host = DEFAULT_HOST, token } = {}) {
+    const app = express();
+
+    app.use(cors({ origin: LOCAL_ORIGIN }));
+    app.use((req, res, next) => {
+        if (!isLocalHost(req.headers.host)) {
+            return res.status(403).json({ error: 'Forbidden host' });
+        }
+        if (!isAuthorized(req, token)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    });
+    app.use(express.json({ limit: '10mb' }));
+
+    app.get('/commands', (req, res) => {
+        res.json({ commands: Object.keys(browserInterface.commands) });
+    });
+
+    app.get('/commands/:command', (req, res) => {
+        const spec = browserInterface.commandSpecs[req.params.command];
+        if (!spec) {
+            return res.status(404).json({ error: 'Unknown command', code: 'UNKNOWN_COMMAND' });
+        }
+        res.json({ command: req.params.command, ...spec });
+    });
+
+    app.post('/commands/:command', async (req, res) => {
+        // Requiring JSON forces a CORS preflight for cross-origin callers
+        if (!req.is('application/json')) {
+            return res.status(415).json({ error: 'Content-Type must be application/json' });
+        }
+
+        try {
+            const result = await browserInterface.execute(req.params.command, req.body.args, { source: 'http' });
+            res.json({ result });
+        } catch (error) {
+            const status = ERROR_STATUS[error.code] || 500;
+            res.status(status).json({ error: error.message, code: error.code, details: error.details });
+        }
+    });
+
+    const server = http.createServer(app);
+    const wss = new WebSocketServer({
+        server,
+        path: '/events',
+        verifyClient: ({ req, origin }) =>
+            isLocalHost(req.headers.host) &&
+            (!origin || LOCAL_ORIGIN.test(origin)) &&
+            isAuthorized(req, token)
+    });
+
+    wss.on('connection', (ws, req) => {
+        const url = new URL(req.url, 'http://localhost');
+        const types = url.searchParams.get('types');
+        const filter = types ? types.split(',') : null;
+
+        const onPageEvent = (event) => {
+            // Page traffic (ws-frame) is only sent to streams that ask for it by type
+            if (filter ? !filter.includes(event.type) : event.type === 'ws-frame') {
+                return;
+            }
+            ws.send(JSON.stringify(event));
+        };
+
+        browserInterface.on('page-event', onPageEvent);
+        ws.on('close', () => browserInterface.off('page-event', onPageEvent));
+        logger.debug('Event stream client connected', { types: filter || 'all' });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    logger.info(`HTTP API listening on http://${host}:${server.address().port}`);
+
+    return {
+        server,
+        close: () => new Promise(resolve => {
+            wss.clients.forEach(client => client.terminate());
+            wss.close();
+            server.close(() => resolve());
+        })
+    };
+}
+
+module.exports = { startHttpServer };
@@ -2,14 +2,44 @@
 
 const chalk = require('chalk');
 const puppeteer = require('puppeteer-core');
-const chromeLauncher = require('chrome-launcher');
 const winston = require('winston');
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
 const readline = require('readline');
 const net = require('net');
-const { injectPageScripts } = require('./script-injector');
+const { EventEmitter } = require('events');
+const {
+    injectPageScripts,
+    setupScriptInjection,
+    watchScripts,
+    addScripts,
+    loadManifest,
+    explainScripts,
+    runScriptFile,
+    RUN_AT
+} = require('./script-injector');
+const scriptManifest = require('./script-manifest');
+const { PluginManager } = require('./plugin-manager');
+const chatEngine = require('./chat-engine');
+const { NetworkCapture, toHar, formatFrame } = require('./network-capture');
+const { RequestRouter, ABORT_REASONS } = require('./request-router');
+const { EventJournal, QUERY_OPTIONS, CONSOLE_LEVELS, formatEvent, brief } = require('./event-journal');
+const { MacroRecorder, REPLAY_OPTIONS, resolveMacroFile, loadMacro, replayMacro, parseVars } = require('./macro-recorder');
+const { startHttpServer } = require('./http-server');
+const { encodeMessage, createMessageParser } = require('./ipc-protocol');
+const { TabManager } = require('./tab-manager');
+const { CommandError } = require('./errors');
+const { parseArgs, formatUsage, formatOptions, assertValidSpec } = require('./command-schema');
+const { waitForActionable, ACTION_CHECKS } = require('./actionability');
+const waitConditions = require('./wait-conditions');
+const { loadSessionConfig } = require('./session-config');
+const { startBrowser } = require('./browser-launcher');
+const supervisor = require('./supervisor');
+const { RecoveryManager } = require('./recovery');
+const { StateStore } = require('./state-store');
+const { loadSecret } = require('./state-crypto');
+const { captureState, updateState, restoreState, diffStates, normalizeState } = require('./browser-state');
 
 // Base directories
 const DATA_DIR = path.join(__dirname, 'data');
@@ -18,16 +48,38 @@ const SESSION_DIR = path.join(DATA_DIR, 'sessions', SESSION_NAME);
 const LOGS_DIR = path.join(SESSION_DIR, 'logs');
 const STATE_DIR = path.join(SESSION_DIR, 'state');
 const SCREENSHOTS_DIR = path.join(SESSION_DIR, 'screenshots');
+const MACROS_DIR = path.join(SESSION_DIR, 'macros');
 const USER_DATA_DIR = path.join(SESSION_DIR, '.browser-data');
 const SOCKET_PATH = path.join(SESSION_DIR, '.browser.sock');
 
-// Ensure directories exist and socket doesn't exist
+// Run without the interactive prompt (started by "cli.js sessions start")
+const DAEMON = Boolean(process.env.GLYDE_DAEMON);
+let shuttingDown = false;
+
+// Ensure directories exist
 [DATA_DIR, SESSION_DIR, LOGS_DIR, STATE_DIR, SCREENSHOTS_DIR, USER_DATA_DIR].forEach(dir => {
     fs.ensureDirSync(dir);
 });
-if (fs.existsSync(SOCKET_PATH)) {
+
+// One controller per session: refuse to start next to a live one, and clear
+// the lock and socket a crashed one left behind
+let staleLock = null;
+try {
+    staleLock = supervisor.acquireLock(SESSION_NAME, { daemon: DAEMON }).stale;
+} catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+}
+const staleSocket = fs.existsSync(SOCKET_PATH);
+if (staleSocket) {
     fs.unlinkSync(SOCKET_PATH);
 }
+process.on('exit', () => {
+    supervisor.releaseLock(SESSION_NAME);
+    if (fs.existsSync(SOCKET_PATH)) {
+        fs.unlinkSync(SOCKET_PATH);
+    }
+});
 
 // Session management
 function initializeSession() {
@@ -41,11 +93,12 @@ function initializeSession() {
         fs.writeJsonSync(manifestPath, defaultManifest, { spaces: 2 });
     }
 
-    return { dirs: { logs: LOGS_DIR, state: STATE_DIR, screenshots: SCREENSHOTS_DIR, browserData: USER_DATA_DIR }, socketPath: SOCKET_PATH };
+    return { dirs: { logs: LOGS_DIR, state: STATE_DIR, screenshots: SCREENSHOTS_DIR, macros: MACROS_DIR, browserData: USER_DATA_DIR }, socketPath: SOCKET_PATH };
 }
 
 // Get session configuration
 const { dirs, socketPath } = initializeSession();
+const sessionConfig = loadSessionConfig(SESSION_DIR);
 
 // Configure winston logger
 const logger = winston.createLogger({
@@ -75,87 +128,115 @@ const logger = winston.createLogger({
         })
     ]
 });
+if (staleLock) {
+    logger.warn(`Previous controller (pid ${staleLock.pid}) exited without cleaning up; removed its lock and socket`);
+} else if (staleSocket) {
+    logger.warn(`Removed stale socket ${SOCKET_PATH}`);
+}
+
 
 logger.info(`Initializing session: ${SESSION_NAME}`);
 
 // Utility function for sleeping
 const sleep = (seconds) => new Promise(resolve => setTimeout(resolve, seconds * 1000));
 
-// Save browser state
-async function saveState(page) {
-    try {
-        const state = {
-            cookies: await page.cookies(),
-            localStorage: await page.evaluate(() => {
-                let items = {};
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    items[key] = localStorage.getItem(key);
-                }
-                return items;
-            }),
-            timestamp: new Date().toISOString()
-        };
+// Add a scheme to bare hosts: "example.com" -> https://, "localhost:3000" -> http://
+function normalizeUrl(url) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url) || /^(about|data|javascript|blob):/i.test(url)) {
+        return url;
+    }
+    const local = /^(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(url);
+    return `${local ? 'http' : 'https'}://${url}`;
+}
+
+// State files are encrypted when GLYDE_STATE_PASSPHRASE or GLYDE_STATE_KEY_FILE is set
+const stateSecret = loadSecret();
+const stateStore = new StateStore(dirs.state, { retention: sessionConfig.state.retention, secret: stateSecret });
 
-        const stateFile = path.join(dirs.state, `state-${moment().format('YYYY-MM-DD-HH-mm-ss')}.json`);
-        await fs.writeJson(stateFile, state, { spaces: 2 });
-        logger.info(`State saved to ${stateFile}`);
+// Latest known state of every origin visited in the session. Autosaves update
+// the loaded page's origin and carry the others over.
+let sessionState = null;
+let stateQueue = Promise.resolve();
+
+// Remember a restored state's origins so later captures include them
+function rememberState(state) {
+    const { origins } = normalizeState(state);
+    sessionState = {
+        ...(sessionState || {}),
+        origins: { ...(sessionState ? sessionState.origins : {}), ...origins }
+    };
+}
+
+// After a crash: put back what we last saw, or what startup would restore
+async function restoreLastState(tabs) {
+    if (!sessionState) {
+        return loadState(tabs);
+    }
+    try {
+        const restored = await restoreState(tabs, sessionState);
+        logger.info('Restored last known state', restored);
     } catch (error) {
-        logger.error('Failed to save state:', error);
+        logger.error('Failed to restore last known state:', error);
     }
 }
 
-// Load last saved state
-async function loadState(page) {
+// Autosave browser state after a page load
+function saveState(tabs, page) {
+    if (!/^https?:/.test(page.url())) {
+        return stateQueue; // about:blank and friends have no storage to save
+    }
+    stateQueue = stateQueue.then(async () => {
+        try {
+            sessionState = await updateState(tabs, sessionState, page);
+            const stateFile = await stateStore.saveAutosave(sessionState);
+            logger.info(`State saved to ${stateFile}`);
+        } catch (error) {
+            logger.error('Failed to save state:', error);
+        }
+    });
+    return stateQueue;
+}
+
+// Restore saved state at startup ("latest" autosave unless configured otherwise).
+// Only fills in what the Chrome profile doesn't already have.
+async function loadState(tabs) {
+    const name = sessionConfig.state.restoreOnStart;
+    if (!name) {
+        logger.info('State restore disabled, using Chrome profile state only');
+        return;
+    }
     try {
-        const stateFiles = await fs.readdir(dirs.state);
-        if (stateFiles.length === 0) {
+        const state = await stateStore.load(name);
+        const restored = await restoreState(tabs, state);
+        rememberState(state);
+        logger.info(`State loaded from ${name}`, restored);
+    } catch (error) {
+        if (error.code === 'STATE_NOT_FOUND') {
             logger.info('No state files found, using Chrome profile state only');
             return;
         }
-
-        const latestState = stateFiles
-            .filter(f => f.endsWith('.json'))
-            .sort()
-            .pop();
-
-        if (!latestState) {
-            logger.info('No valid state files found, using Chrome profile state only');
+        if (error.code === 'STATE_LOCKED') {
+            logger.error(`Failed to load state: ${error.message}`);
             return;
         }
-
-        const state = await fs.readJson(path.join(dirs.state, latestState));
-        
-        // Restore cookies (only those not already set by Chrome profile)
-        const existingCookies = await page.cookies();
-        const newCookies = state.cookies.filter(cookie => 
-            !existingCookies.some(existing => 
-                existing.name === cookie.name && 
-                existing.domain === cookie.domain
-            )
-        );
-        if (newCookies.length > 0) {
-            await page.setCookie(...newCookies);
-            logger.info(`Restored ${newCookies.length} cookies from state file`);
-        }
-        
-        // Restore localStorage (only values not already set by Chrome profile)
-        await page.evaluate((storageItems) => {
-            for (const [key, value] of Object.entries(storageItems)) {
-                if (!localStorage.getItem(key)) {
-                    localStorage.setItem(key, value);
-                }
-            }
-        }, state.localStorage);
-        
-        logger.info(`State loaded from ${latestState}`);
-    } catch (error) {
         logger.error('Failed to load state:', error);
     }
 }
 
-async function setupPageLogging(page) {
+async function setupPageLogging(page, events, tabId = null, journal = null) {
     logger.info('Setting up page logging...');
+
+    // Forward page events to remote listeners (HTTP/WebSocket clients)
+    const emitPageEvent = (type, data) => {
+        if (events) {
+            events.emit('page-event', { type, tab: tabId, timestamp: new Date().toISOString(), ...data });
+        }
+    };
+    const journalEvent = (type, level, data) => {
+        if (journal) {
+            journal.record({ type, source: 'page', level, tab: tabId, ...data });
+        }
+    };
     
     // Listen to console events
     page.on('console', async (msg) => {
@@ -189,12 +270,16 @@ async function setupPageLogging(page) {
         
         // Log to file as well
         logger.info('Browser console:', { type, text, args });
+        emitPageEvent('console', { level: type, text, args });
+        journalEvent('console', CONSOLE_LEVELS[type] || 'info', { consoleType: type, text: brief(text), url: msg.location().url || null });
     });
 
     // Listen to page errors
     page.on('pageerror', error => {
         console.error(chalk.red('Page Error:'), error.message);
         logger.error('Page error:', error);
+        emitPageEvent('pageerror', { message: error.message, stack: error.stack });
+        journalEvent('pageerror', 'error', { message: brief(error.message), stack: brief(error.stack) });
     });
 
     // Listen to request failures
@@ -208,78 +293,550 @@ async function setupPageLogging(page) {
             url: request.url(),
             failure: failure ? failure.errorText : null
         });
+        emitPageEvent('requestfailed', {
+            url: request.url(),
+            method: request.method(),
+            failure: failure ? failure.errorText : null
+        });
+        journalEvent('requestfailed', 'error', {
+            url: brief(request.url()),
+            method: request.method(),
+            failure: failure ? failure.errorText : null
+        });
+    });
+
+    page.on('framenavigated', frame => {
+        if (frame === page.mainFrame()) {
+            journalEvent('navigation', 'info', { url: brief(frame.url()) });
+        }
     });
 }
 
+// Shared --tab option for commands that can target a tab other than the active one
+const TAB_OPTION = { type: 'string', valueName: 'id|name', description: 'Target tab id or name (default: active tab)' };
+
+// Options shared by goto, back and forward
+const NAVIGATION_OPTIONS = {
+    tab: TAB_OPTION,
+    waitUntil: {
+        type: 'string',
+        choices: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'],
+        description: 'When navigation counts as finished (default: load)'
+    },
+    timeout: { type: 'number', valueName: 'ms', description: 'Give up after (default: 30000)' }
+};
+
+// Commands that don't touch the browser and keep working during recovery
+const RECOVERY_EXEMPT = ['help', 'status', 'exit', 'clear', 'logs'];
+
+// Notifications that carry page traffic only go to socket clients that subscribed (ws tail)
+const SUBSCRIBED_EVENTS = ['ws-frame'];
+
+// Filters shared by network list and network export
+const NETWORK_FILTERS = {
+    url: { type: 'string', valueName: 'pattern', description: 'URL substring, glob or /regex/' },
+    method: { type: 'string', description: 'HTTP method' },
+    status: { type: 'string', description: 'Status code or class, e.g. 404 or 5xx' },
+    type: { type: 'string', description: 'Resource type: document, xhr, fetch, script, preflight, ...' },
+    tab: { type: 'string', valueName: 'id|name', description: 'Only requests of this tab' },
+    failed: { type: 'boolean', description: 'Only failed requests and 4xx/5xx responses' }
+};
+
+// Filters shared by ws frames and ws tail
+const FRAME_FILTERS = {
+    url: { type: 'string', valueName: 'pattern', description: 'Connection URL substring, glob or /regex/' },
+    connection: { type: 'number', valueName: 'id', description: 'Only frames of this connection (see ws list)' },
+    tab: { type: 'string', valueName: 'id|name', description: 'Only frames of this tab' },
+    direction: { type: 'string', choices: ['sent', 'received'], description: 'Only sent or received frames' },
+    type: { type: 'string', choices: ['text', 'binary', 'event', 'close', 'ping', 'pong'], description: 'Only frames of this type' },
+    match: { type: 'string', valueName: 'pattern', description: 'Frame data substring, glob or /regex/' }
+};
+
+// A route rule from route add's options; "Name: value" strings become header maps
+function buildRouteRule(url, { method, type, fulfill, status, body, contentType, responseHeader, abort, reason, delay, setHeader, removeHeader, setBody, times }) {
+    const headers = (lines) => Object.fromEntries(lines.map(line => {
+        const separator = line.indexOf(':');
+        if (separator < 1) {
+            throw new CommandError('INVALID_ARGS', `Headers are given as "Name: value", not "${line}"`);
+        }
+        return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+    }));
+
+    const rule = { url };
+    if (method) {
+        rule.method = method.toUpperCase();
+    }
+    if (type) {
+        rule.resourceType = type;
+    }
+    if ([fulfill, status, body, contentType, responseHeader].some(value => value !== undefined)) {
+        rule.fulfill = {};
+        if (status !== undefined) {
+            rule.fulfill.status = status;
+        }
+        if (fulfill !== undefined) {
+            rule.fulfill.file = fulfill;
+        }
+        if (body !== undefined) {
+            rule.fulfill.body = body;
+        }
+        if (contentType !== undefined) {
+            rule.fulfill.contentType = contentType;
+        }
+        if (responseHeader) {
+            rule.fulfill.headers = headers(responseHeader);
+        }
+    }
+    if (abort || reason) {
+        rule.abort = reason || 'blockedbyclient';
+    }
+    if (delay !== undefined) {
+        rule.delay = delay;
+    }
+    if (setHeader) {
+        rule.setHeaders = headers(setHeader);
+    }
+    if (removeHeader) {
+        rule.removeHeaders = removeHeader;
+    }
+    if (setBody !== undefined) {
+        rule.setBody = setBody;
+    }
+    if (times !== undefined) {
+        rule.times = times;
+    }
+    return rule;
+}
+
+// Options shared by the chat subcommands
+const CHAT_OPTIONS = {
+    tab: TAB_OPTION,
+    adapter: { type: 'string', valueName: 'name', description: 'Chat adapter to use (default: the one matching the URL)' }
+};
+
+// Options shared by the wait-for subcommands
+const WAIT_OPTIONS = {
+    tab: TAB_OPTION,
+    timeout: { type: 'number', valueName: 'ms', description: `Give up after (default: ${waitConditions.DEFAULT_TIMEOUT})` }
+};
+
+// Element commands wait for their target to be actionable; these tune that wait
+const ACTION_OPTIONS = {
+    timeout: { type: 'number', valueName: 'ms', description: 'How long to wait for the element (default: 10000)' },
+    force: { type: 'boolean', description: 'Skip the actionability checks' }
+};
+
 // Command interface for browser interaction
-class BrowserInterface {
-    constructor(page, logger) {
-        this.page = page;
+class BrowserInterface extends EventEmitter {
+    constructor(tabs, logger) {
+        super();
+        this.tabs = tabs;
         this.logger = logger;
         
         // Debug log available commands
         logger.debug('Registering commands...');
         
-        // Bind all methods to this instance
-        this.showHelp = this.showHelp.bind(this);
-        this.injectScript = this.injectScript.bind(this);
-        this.evalInPage = this.evalInPage.bind(this);
-        this.takeScreenshot = this.takeScreenshot.bind(this);
-        this.clickElement = this.clickElement.bind(this);
-        this.typeText = this.typeText.bind(this);
-        this.wait = this.wait.bind(this);
-        this.getCurrentUrl = this.getCurrentUrl.bind(this);
-        this.reloadPage = this.reloadPage.bind(this);
-        this.exit = this.exit.bind(this);
-        this.clearConsole = this.clearConsole.bind(this);
-        this.sendChatMessage = this.sendChatMessage.bind(this);
-        
-        this.commands = {
-            'help': this.showHelp,
-            'inject': this.injectScript,
-            'eval': this.evalInPage,
-            'screenshot': this.takeScreenshot,
-            'click': this.clickElement,
-            'type': this.typeText,
-            'wait': this.wait,
-            'url': this.getCurrentUrl,
-            'reload': this.reloadPage,
-            'exit': this.exit,
-            'clear': this.clearConsole,
-            'chat': this.sendChatMessage
-        };
+        this.commands = {};
+        this.commandSpecs = {};
+
+        this.registerCommand('help', {
+            description: 'Show this help message',
+            args: [{ name: 'command', description: 'Show details for one command' }]
+        }, this.showHelp);
+        this.registerCommand('inject', {
+            description: 'Inject and execute JavaScript in the page',
+            args: [{ name: 'script', required: true, rest: 'raw' }],
+            options: { tab: TAB_OPTION }
+        }, this.injectScript);
+        this.registerCommand('eval', {
+            description: 'Evaluate JavaScript expression and return result',
+            args: [{ name: 'expression', required: true, rest: 'raw' }],
+            options: { tab: TAB_OPTION }
+        }, this.evalInPage);
+        this.registerCommand('screenshot', {
+            description: 'Take a screenshot of the current page',
+            args: [{ name: 'filename' }],
+            options: { tab: TAB_OPTION }
+        }, this.takeScreenshot);
+        this.registerCommand('click', {
+            description: 'Click an element matching the selector',
+            args: [{ name: 'selector', required: true }],
+            options: {
+                tab: TAB_OPTION,
+                ...ACTION_OPTIONS,
+                button: { type: 'string', choices: ['left', 'right', 'middle'], description: 'Mouse button' },
+                count: { type: 'number', description: 'Number of clicks (2 for double click)' }
+            }
+        }, this.clickElement);
+        this.registerCommand('type', {
+            description: 'Type text into an element',
+            args: [
+                { name: 'selector', required: true },
+                { name: 'text', required: true, rest: true }
+            ],
+            options: {
+                tab: TAB_OPTION,
+                ...ACTION_OPTIONS,
+                delay: { type: 'number', valueName: 'ms', description: 'Delay between key presses' },
+                clear: { type: 'boolean', description: 'Clear the current value first' }
+            }
+        }, this.typeText);
+        this.registerCommand('hover', {
+            description: 'Move the mouse over an element',
+            args: [{ name: 'selector', required: true }],
+            options: { tab: TAB_OPTION, ...ACTION_OPTIONS }
+        }, this.hoverElement);
+        this.registerCommand('select', {
+            description: 'Select option(s) of a <select> by value',
+            args: [
+                { name: 'selector', required: true },
+                { name: 'values', type: 'array', required: true, rest: true }
+            ],
+            options: { tab: TAB_OPTION, ...ACTION_OPTIONS }
+        }, this.selectOption);
+        this.registerCommand('press', {
+            description: 'Press a key or combination (e.g. Enter, Control+A)',
+            args: [{ name: 'key', required: true }],
+            options: {
+                tab: TAB_OPTION,
+                ...ACTION_OPTIONS,
+                selector: { type: 'string', description: 'Focus this element first' },
+                count: { type: 'number', description: 'Number of presses' }
+            }
+        }, this.pressKey);
+        this.registerCommand('scroll', {
+            description: 'Scroll the page or an element',
+            args: [{ name: 'selector', description: 'Element to scroll (or scroll into view)' }],
+            options: {
+                tab: TAB_OPTION,
+                ...ACTION_OPTIONS,
+                x: { type: 'number', valueName: 'px', description: 'Scroll horizontally by' },
+                y: { type: 'number', valueName: 'px', description: 'Scroll vertically by' },
+                to: { type: 'string', choices: ['top', 'bottom'], description: 'Scroll to an edge' }
+            }
+        }, this.scroll);
+        this.registerCommand('upload', {
+            description: 'Set the files of an <input type="file">',
+            args: [
+                { name: 'selector', required: true },
+                { name: 'files', type: 'array', required: true, rest: true }
+            ],
+            options: { tab: TAB_OPTION, ...ACTION_OPTIONS }
+        }, this.uploadFiles);
+        this.registerCommand('goto', {
+            description: 'Navigate to a URL',
+            args: [{ name: 'url', required: true }],
+            options: NAVIGATION_OPTIONS
+        }, this.gotoUrl);
+        this.registerCommand('back', {
+            description: 'Go back in history',
+            options: NAVIGATION_OPTIONS
+        }, this.goBack);
+        this.registerCommand('forward', {
+            description: 'Go forward in history',
+            options: NAVIGATION_OPTIONS
+        }, this.goForward);
+        this.registerCommand('wait', {
+            description: 'Wait for specified milliseconds',
+            args: [{ name: 'ms', type: 'number', required: true }]
+        }, this.wait);
+        this.registerCommand('wait-for', {
+            description: 'Wait for a condition',
+            subcommands: {
+                selector: {
+                    description: 'Wait for an element to reach a state',
+                    args: [{ name: 'selector', required: true }],
+                    options: {
+                        ...WAIT_OPTIONS,
+                        state: {
+                            type: 'string',
+                            choices: ['attached', 'visible', 'hidden', 'detached'],
+                            description: 'State to wait for (default: attached)'
+                        }
+                    }
+                },
+                url: {
+                    description: 'Wait until the URL matches (substring, glob or /regex/)',
+                    args: [{ name: 'pattern', required: true }],
+                    options: WAIT_OPTIONS
+                },
+                'network-idle': {
+                    description: 'Wait until there are no network requests',
+                    options: {
+                        ...WAIT_OPTIONS,
+                        idleTime: { type: 'number', valueName: 'ms', description: 'Quiet period required (default: 500)' }
+                    }
+                },
+                function: {
+                    description: 'Wait until a JavaScript expression is truthy',
+                    args: [{ name: 'expression', required: true, rest: 'raw' }],
+                    options: {
+                        ...WAIT_OPTIONS,
+                        polling: { type: 'string', valueName: 'raf|mutation|ms', description: 'How often to re-check (default: raf)' }
+                    }
+                },
+                console: {
+                    description: 'Wait for a console message matching a pattern',
+                    args: [{ name: 'pattern', required: true }],
+                    options: {
+                        ...WAIT_OPTIONS,
+                        type: { type: 'string', description: 'Only match this message type (log, error, ...)' },
+                        since: { type: 'number', valueName: 'ms', description: 'Also match messages logged this long before the command' }
+                    }
+                }
+            }
+        }, this.waitFor);
+        this.registerCommand('url', {
+            description: 'Get current page URL',
+            options: { tab: TAB_OPTION }
+        }, this.getCurrentUrl);
+        this.registerCommand('reload', {
+            description: 'Reload the current page',
+            options: { tab: TAB_OPTION }
+        }, this.reloadPage);
+        this.registerCommand('status', { description: 'Show session, browser and tab status' }, this.getStatus);
+        this.registerCommand('exit', { description: 'Close browser and exit' }, this.exit);
+        this.registerCommand('clear', { description: 'Clear the console' }, this.clearConsole);
+        this.registerCommand('chat', {
+            description: 'Chat through the page\'s chat adapter: send a message, export the conversation, start a new one',
+            defaultSubcommand: 'send',
+            subcommands: {
+                send: {
+                    description: 'Send a message and get the response (the default: "chat <message>")',
+                    args: [{ name: 'message', required: true, rest: 'raw' }],
+                    options: {
+                        ...CHAT_OPTIONS,
+                        format: { type: 'string', choices: chatEngine.FORMATS, description: 'Response as markdown (default), plain text, or json with code blocks and attachments' },
+                        timeout: { type: 'number', valueName: 'ms', description: 'Give up waiting for the response after (default: the adapter\'s)' }
+                    }
+                },
+                history: {
+                    description: 'Export the current conversation',
+                    options: {
+                        ...CHAT_OPTIONS,
+                        format: { type: 'string', choices: ['json', 'markdown'], description: 'Export format (default: json)' },
+                        output: { type: 'string', valueName: 'file', description: 'Write to a file instead of returning it' }
+                    }
+                },
+                new: {
+                    description: 'Start a new conversation',
+                    options: CHAT_OPTIONS
+                }
+            }
+        }, this.manageChat);
+        this.registerCommand('state', {
+            description: 'Save, restore and compare browser state',
+            subcommands: {
+                save: {
+                    description: 'Save cookies and every visited origin\'s storage as a named snapshot',
+                    args: [{ name: 'name', required: true }]
+                },
+                list: { description: 'List snapshots and autosaves' },
+                restore: {
+                    description: 'Restore a snapshot (or autosave, or "latest")',
+                    args: [{ name: 'name', required: true }],
+                    options: {
+                        origin: { type: 'string', description: 'Only restore this origin (e.g. https://example.com)' },
+                        cookies: { type: 'boolean', description: 'Only restore cookies' },
+                        storage: { type: 'boolean', description: 'Only restore localStorage, sessionStorage and IndexedDB' },
+                        overwrite: { type: 'boolean', description: 'Replace existing values instead of only adding missing ones' }
+                    }
+                },
+                diff: {
+                    description: 'Compare two states (default b: the live browser)',
+                    args: [{ name: 'a', required: true }, { name: 'b' }]
+                },
+                delete: { description: 'Delete a snapshot', args: [{ name: 'name', required: true }] },
+                export: {
+                    description: 'Write a snapshot (or autosave) to an encrypted, portable bundle',
+                    args: [{ name: 'name', required: true }, { name: 'file', required: true }]
+                },
+                import: {
+                    description: 'Save an exported bundle as a snapshot',
+                    args: [{ name: 'file', required: true }, { name: 'name' }],
+                    options: {
+                        force: { type: 'boolean', description: 'Replace an existing snapshot with the same name' }
+                    }
+                },
+                prune: { description: 'Delete autosaves beyond the retention limit' }
+            }
+        }, this.manageState);
+        this.registerCommand('tabs', { description: 'List open tabs' }, this.listTabs);
+        this.registerCommand('plugins', { description: 'List plugins and what they registered' }, this.listPlugins);
+        this.registerCommand('scripts', {
+            description: 'Manage and run injected page scripts',
+            subcommands: {
+                list: {
+                    description: 'List scripts and whether they match the current page',
+                    options: { tab: TAB_OPTION }
+                },
+                add: {
+                    description: 'Add a script file to the manifest',
+                    args: [{ name: 'file', required: true }],
+                    options: {
+                        url: { type: 'array', valueName: 'pattern', description: 'URL pattern to inject into (repeatable, required)' },
+                        exclude: { type: 'array', valueName: 'pattern', description: 'URL pattern to skip (repeatable)' },
+                        env: { type: 'string', valueName: 'name', description: 'Only use the patterns in this environment' },
+                        session: { type: 'array', valueName: 'name', description: 'Session to enable it for (repeatable, default: all)' },
+                        id: { type: 'string', description: 'Script id (default: file name)' },
+                        runAt: { type: 'string', choices: RUN_AT, description: 'When to inject (default: load)' },
+                        allFrames: { type: 'boolean', description: 'Also inject into matching iframes' },
+                        dependsOn: { type: 'array', valueName: 'id', description: 'Script that must run first (repeatable)' }
+                    }
+                },
+                remove: { description: 'Remove a script from the manifest', args: [{ name: 'script', required: true }] },
+                enable: { description: 'Enable a disabled script', args: [{ name: 'script', required: true }] },
+                disable: { description: 'Keep a script in the manifest but stop injecting it', args: [{ name: 'script', required: true }] },
+                run: {
+                    description: 'Inject a script file into the page now',
+                    args: [{ name: 'file', required: true }],
+                    options: { tab: TAB_OPTION }
+                },
+                test: {
+                    description: 'Show which scripts would be injected into a URL',
+                    args: [{ name: 'url', required: true }],
+                    options: { session: { type: 'string', valueName: 'name', description: 'Check for another session' } }
+                }
+            }
+        }, this.manageScripts);
+        this.registerCommand('network', {
+            description: 'Record requests and responses of every tab through DevTools',
+            subcommands: {
+                start: {
+                    description: 'Start recording (keeps earlier requests unless --clear)',
+                    options: {
+                        bodies: { type: 'boolean', description: 'Also keep response bodies' },
+                        clear: { type: 'boolean', description: 'Forget requests recorded so far' }
+                    }
+                },
+                stop: { description: 'Stop recording; recorded requests stay available' },
+                clear: { description: 'Forget recorded requests' },
+                list: {
+                    description: 'List recorded requests',
+                    options: {
+                        ...NETWORK_FILTERS,
+                        limit: { type: 'number', description: 'Only the last <n> requests' }
+                    }
+                },
+                get: {
+                    description: 'Show one request with headers, timing and body',
+                    args: [{ name: 'id', type: 'number', required: true }]
+                },
+                export: {
+                    description: 'Save recorded requests as a HAR file',
+                    options: {
+                        har: { type: 'string', valueName: 'file', description: 'HAR file to write' },
+                        ...NETWORK_FILTERS
+                    }
+                }
+            }
+        }, this.manageNetwork);
+        this.registerCommand('ws', {
+            description: 'Read WebSocket, EventSource and event-stream messages recorded by network capture',
+            subcommands: {
+                list: {
+                    description: 'List connections with their state and frame counts',
+                    options: {
+                        url: FRAME_FILTERS.url,
+                        tab: FRAME_FILTERS.tab,
+                        kind: { type: 'string', choices: ['websocket', 'eventsource', 'event-stream'], description: 'Only this kind of connection' }
+                    }
+                },
+                frames: {
+                    description: 'List recorded frames',
+                    options: {
+                        ...FRAME_FILTERS,
+                        since: { type: 'number', valueName: 'id', description: 'Only frames after this frame id' },
+                        limit: { type: 'number', description: 'Only the last <n> frames' }
+                    }
+                },
+                tail: {
+                    description: 'Start recording if needed and show the latest frames (./cli.js keeps printing new ones)',
+                    options: {
+                        ...FRAME_FILTERS,
+                        limit: { type: 'number', default: 10, description: 'Frames to show first (default: 10)' }
+                    }
+                }
+            }
+        }, this.manageWebSockets);
+        this.registerCommand('route', {
+            description: 'Stub, block, delay and rewrite requests with session rules',
+            subcommands: {
+                add: {
+                    description: 'Add a rule for requests matching a URL pattern',
+                    args: [{ name: 'url', required: true }],
+                    options: {
+                        method: { type: 'string', description: 'Only requests with this HTTP method' },
+                        type: { type: 'array', description: 'Only these resource types (xhr, fetch, script, image, ...; repeatable)' },
+                        fulfill: { type: 'string', valueName: 'file', description: 'Respond with the contents of a file' },
+                        status: { type: 'number', description: 'Respond with this status (default 200 with --fulfill or --body)' },
+                        body: { type: 'string', valueName: 'text', description: 'Respond with this body' },
+                        contentType: { type: 'string', valueName: 'type', description: 'Content type of the response (default: from the file extension)' },
+                        responseHeader: { type: 'array', valueName: 'Name: value', description: 'Response header (repeatable)' },
+                        abort: { type: 'boolean', description: 'Fail the request' },
+                        reason: { type: 'string', choices: ABORT_REASONS, description: 'Network error for --abort (default: blockedbyclient)' },
+                        delay: { type: 'number', valueName: 'ms', description: 'Hold the request before answering or sending it' },
+                        setHeader: { type: 'array', valueName: 'Name: value', description: 'Set a request header (repeatable)' },
+                        removeHeader: { type: 'array', valueName: 'name', description: 'Remove a request header (repeatable)' },
+                        setBody: { type: 'string', valueName: 'text', description: 'Replace the request body' },
+                        times: { type: 'number', description: 'Only apply to the first <n> matching requests' }
+                    }
+                },
+                list: { description: 'List rules with how often each matched' },
+                remove: { description: 'Remove a rule', args: [{ name: 'id', type: 'number', required: true }] },
+                enable: { description: 'Enable a rule', args: [{ name: 'id', type: 'number', required: true }] },
+                disable: { description: 'Disable a rule without removing it', args: [{ name: 'id', type: 'number', required: true }] },
+                clear: { description: 'Remove every rule' },
+                load: {
+                    description: 'Replace the rules with a rule set from a file',
+                    args: [{ name: 'file', required: true }],
+                    options: { append: { type: 'boolean', description: 'Add to the current rules instead' } }
+                },
+                save: { description: 'Save the rules as a rule set file', args: [{ name: 'file', required: true }] }
+            }
+        }, this.manageRoutes);
+        this.registerCommand('logs', {
+            description: 'Query the session event journal: console, errors, navigation, commands and results',
+            options: QUERY_OPTIONS
+        }, this.queryLogs);
+        this.registerCommand('record', {
+            description: 'Record clicks, typing, navigation and commands as a replayable macro',
+            subcommands: {
+                start: {
+                    description: 'Start recording in every tab',
+                    options: { name: { type: 'string', description: 'Macro name, also its file name (default: macro-<time>)' } }
+                },
+                stop: {
+                    description: 'Stop recording and save the macro (default: the session\'s macros/<name>.json)',
+                    args: [{ name: 'file' }]
+                },
+                status: { description: 'Whether recording is on, and the latest steps' }
+            }
+        }, this.manageRecording);
+        this.registerCommand('replay', {
+            description: 'Replay a recorded macro (a file, or a name in the session\'s macros directory)',
+            args: [{ name: 'file', required: true }],
+            options: REPLAY_OPTIONS
+        }, this.runMacro);
+        this.registerCommand('tab', {
+            description: 'Manage tabs',
+            subcommands: {
+                new: { description: 'Open a new tab and switch to it', args: [{ name: 'url' }] },
+                use: { description: 'Switch the active tab', args: [{ name: 'id', required: true }] },
+                close: { description: 'Close a tab (default: active tab)', args: [{ name: 'id' }] },
+                name: {
+                    description: 'Name a tab',
+                    args: [{ name: 'id', required: true }, { name: 'name', required: true, rest: true }]
+                }
+            }
+        }, this.manageTab);
         
         // Debug log registered commands
         logger.debug('Available commands:', Object.keys(this.commands));
 
         // Create IPC server
-        this.server = net.createServer((socket) => {
-            socket.on('data', async (data) => {
-                try {
-                    const { command, args } = JSON.parse(data.toString());
-                    this.logger.debug('Received command:', { command, args });
-
-                    const handler = this.commands[command];
-                    if (handler) {
-                        try {
-                            const result = await handler(args);
-                            this.logger.debug('Command result:', result);
-                            socket.write(JSON.stringify({ result }));
-                        } catch (error) {
-                            this.logger.error('Command error:', error);
-                            socket.write(JSON.stringify({ error: error.message }));
-                        }
-                    } else {
-                        this.logger.error('Unknown command:', command);
-                        socket.write(JSON.stringify({ error: 'Unknown command' }));
-                    }
-                } catch (error) {
-                    this.logger.error('Invalid command format:', error);
-                    socket.write(JSON.stringify({ error: 'Invalid command format' }));
-                }
-                socket.end();
-            });
-        });
+        this.connections = new Set();
+        this.server = net.createServer((socket) => this.handleConnection(socket));
 
         // Start IPC server
         this.server.listen(socketPath, () => {
@@ -287,6 +844,182 @@ class BrowserInterface {
         });
     }
 
+    // Page of the active tab; commands target it unless given --tab
+    get page() {
+        return this.tabs.activePage;
+    }
+
+    // Page for commands that accept --tab
+    targetPage(tab) {
+        return tab ? this.tabs.get(tab).page : this.page;
+    }
+
+    registerCommand(name, spec, handler) {
+        assertValidSpec(name, spec);
+        this.commands[name] = handler.bind(this);
+        this.commandSpecs[name] = spec;
+    }
+
+    handleConnection(socket) {
+        const send = (message) => {
+            if (!socket.destroyed) {
+                socket.write(encodeMessage(message));
+            }
+        };
+        // Only clients speaking the framed protocol get notifications; a
+        // legacy client expects exactly one reply
+        const connection = { send, subscriptions: new Set() };
+
+        const parser = createMessageParser(
+            message => {
+                this.connections.add(connection);
+                this.handleMessage(message, send, connection);
+            },
+            (error) => {
+                this.logger.error('Invalid command format:', error);
+                send({ id: null, error: 'Invalid command format' });
+            }
+        );
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            parser.push(chunk);
+
+            // Legacy clients send one unterminated message without an id and
+            // wait for the server to close the connection
+            const pending = parser.pending.trim();
+            if (!pending.endsWith('}')) {
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(pending);
+            } catch (error) {
+                return; // Incomplete message, wait for more data
+            }
+            if (message.id === undefined) {
+                parser.reset();
+                this.handleMessage(message, (response) => {
+                    const { id, ...rest } = response;
+                    socket.end(JSON.stringify(rest));
+                });
+            }
+        });
+        socket.on('error', (error) => {
+            this.logger.debug('Socket error:', error.message);
+        });
+        socket.on('close', () => this.connections.delete(connection));
+    }
+
+    async handleMessage(message, send, connection = null) {
+        const id = message && message.id !== undefined ? message.id : null;
+        if (!message || typeof message.command !== 'string') {
+            send({ id, error: 'Invalid command format' });
+            return;
+        }
+
+        // Partial results only go to clients that asked for them
+        const stream = message.stream ? (chunk) => send({ id, stream: chunk }) : null;
+        const subscribe = connection ? (type) => connection.subscriptions.add(type) : null;
+        try {
+            const result = await this.execute(message.command, message.args, { stream, subscribe, source: 'socket' });
+            send({ id, result });
+        } catch (error) {
+            send({ id, error: error.message, code: error.code, details: error.details });
+        }
+    }
+
+    // Run a registered command; shared by the socket server and the HTTP API.
+    // Handlers get (args, { stream, subscribe }); stream(chunk) sends a partial result, or is null.
+    // subscribe(type) signs the socket client up for SUBSCRIBED_EVENTS notifications, or is null.
+    // source tags the command in the event journal (socket, http, repl or replay).
+    // secret is set for replayed steps whose {{placeholders}} were filled in: it is
+    // the step's args as written, recorded instead of args, and the journal leaves
+    // out args and result.
+    async execute(command, args, { stream = null, subscribe = null, source = 'socket', secret = null } = {}) {
+        this.logger.debug('Received command:', { command, args: secret || args });
+
+        // Reading the journal isn't journaled, so "logs --since last-command" sees the command before it
+        const journal = command !== 'logs' ? this.journal : null;
+        const journaled = (kind, value) => (secret ? undefined : journal.commandValue(command, kind, value));
+        const started = Date.now();
+        if (journal) {
+            journal.record({ type: 'command', source, command, args: journaled('args', args) });
+        }
+
+        // While recording, the command becomes a macro step once it succeeds
+        const recorded = this.recorder ? this.recorder.trackCommand(command, secret || args) : null;
+
+        try {
+            const result = await this.runCommand(command, args, { stream, subscribe });
+            if (recorded) {
+                recorded.done(result);
+            }
+            if (journal) {
+                journal.record({
+                    type: 'result',
+                    source,
+                    command,
+                    ok: true,
+                    duration: Date.now() - started,
+                    result: journaled('result', result)
+                });
+            }
+            return result;
+        } catch (error) {
+            if (recorded) {
+                recorded.failed();
+            }
+            if (journal) {
+                journal.record({
+                    type: 'result',
+                    source,
+                    level: 'error',
+                    command,
+                    ok: false,
+                    duration: Date.now() - started,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            throw error;
+        }
+    }
+
+    async runCommand(command, args, { stream, subscribe }) {
+        const handler = this.commands[command];
+        if (!handler) {
+            this.logger.error('Unknown command:', command);
+            throw new CommandError('UNKNOWN_COMMAND', 'Unknown command', { command });
+        }
+
+        // Hold commands while the browser is being brought back
+        if (this.recovery && !RECOVERY_EXEMPT.includes(command)) {
+            await this.recovery.ready();
+        }
+
+        try {
+            const result = await handler(parseArgs(command, this.commandSpecs[command], args), { stream, subscribe });
+            this.logger.debug('Command result:', result);
+            return result;
+        } catch (error) {
+            this.logger.error('Command error:', error);
+            throw this.recovery ? this.recovery.explain(error, command) : error;
+        }
+    }
+
+    // Push an event to the framed socket clients and the HTTP event stream
+    notify(event) {
+        const message = { ...event, timestamp: new Date().toISOString() };
+        const subscribed = SUBSCRIBED_EVENTS.includes(event.type);
+        this.connections.forEach(connection => {
+            if (!subscribed || connection.subscriptions.has(event.type)) {
+                connection.send(message);
+            }
+        });
+        this.emit('page-event', message);
+    }
+
     async start() {
         this.rl = readline.createInterface({
             input: process.stdin,
@@ -301,17 +1034,30 @@ class BrowserInterface {
         this.rl.prompt();
 
         this.rl.on('line', async (line) => {
-            const [command, ...args] = line.trim().split(' ');
-            const cmd = this.commands[command];
+            const input = line.trim();
+            const [command] = input.split(/\s+/);
 
-            if (cmd) {
+            if (this.commands[command]) {
                 try {
-                    await cmd(args.join(' '));
+                    // Streamed text (chat) is printed as it arrives
+                    let streamed = false;
+                    await this.execute(command, input.slice(command.length), {
+                        source: 'repl',
+                        stream: (chunk) => {
+                            streamed = true;
+                            process.stdout.write(chunk.type === 'reset' ? `\n${chunk.text}` : chunk.text || '');
+                        }
+                    });
+                    if (streamed) {
+                        process.stdout.write('\n');
+                    }
                 } catch (error) {
                     console.error(chalk.red('Error:', error.message));
-                    this.logger.error('Command error:', error);
+                    if (error.details && error.details.usage) {
+                        console.error(chalk.yellow('Usage:', error.details.usage));
+                    }
                 }
-            } else if (line.trim()) {
+            } else if (input) {
                 console.log(chalk.red('Unknown command. Type "help" for available commands.'));
             }
 
@@ -320,37 +1066,59 @@ class BrowserInterface {
     }
 
     async cleanup() {
+        if (this.plugins) {
+            await this.plugins.close();
+        }
+        if (this.scriptWatcher) {
+            this.scriptWatcher.close();
+        }
         if (this.server) {
             this.server.close();
         }
+        if (this.httpServer) {
+            await this.httpServer.close();
+        }
         if (fs.existsSync(socketPath)) {
             fs.unlinkSync(socketPath);
         }
     }
 
-    async showHelp() {
+    async showHelp({ command }) {
+        if (command) {
+            const spec = this.commandSpecs[command];
+            if (!spec) {
+                throw new CommandError('UNKNOWN_COMMAND', `Unknown command: ${command}`, { command });
+            }
+            console.log(chalk.cyan(`\n${formatUsage(command, spec)}`));
+            console.log(`  ${spec.description}`);
+            formatOptions(spec).forEach(({ flag, description }) => {
+                console.log(chalk.yellow(`  ${flag.padEnd(28)}  ${description}`));
+            });
+            return;
+        }
+
         console.log(chalk.cyan('\nGlyde - Available Commands:'));
-        console.log(chalk.yellow('  help                          Show this help message'));
-        console.log(chalk.yellow('  inject <script>               Inject and execute JavaScript in the page'));
-        console.log(chalk.yellow('  eval <expression>             Evaluate JavaScript expression and return result'));
-        console.log(chalk.yellow('  screenshot [filename]         Take a screenshot of the current page'));
-        console.log(chalk.yellow('  click <selector>              Click an element matching the selector'));
-        console.log(chalk.yellow('  type <selector> <text>        Type text into an element'));
-        console.log(chalk.yellow('  wait <ms>                     Wait for specified milliseconds'));
-        console.log(chalk.yellow('  url                           Get current page URL'));
-        console.log(chalk.yellow('  reload                        Reload the current page'));
-        console.log(chalk.yellow('  exit                          Close browser and exit'));
-        console.log(chalk.yellow('  clear                         Clear the console'));
-        console.log(chalk.yellow('  chat <message>                Send a message and get the response'));
+        Object.entries(this.commandSpecs).forEach(([name, spec]) => {
+            if (spec.subcommands) {
+                Object.entries(spec.subcommands).forEach(([sub, subSpec]) => {
+                    const usage = formatUsage(`${name} ${sub}`, subSpec);
+                    console.log(chalk.yellow(`  ${usage.padEnd(30)}${subSpec.description}`));
+                });
+                return;
+            }
+            console.log(chalk.yellow(`  ${formatUsage(name, spec).padEnd(30)}${spec.description}`));
+        });
+        console.log(chalk.cyan('\nUse "help <command>" for options such as --tab'));
     }
 
-    async evalInPage(expression) {
-        return this.injectScript(expression);
+    async evalInPage({ expression, tab }) {
+        return this.injectScript({ script: expression, tab });
     }
 
-    async injectScript(script) {
+    async injectScript({ script, tab }) {
+        const page = this.targetPage(tab);
         try {
-            const result = await this.page.evaluate((code) => {
+            const result = await page.evaluate((code) => {
                 try {
                     return eval(code);
                 } catch (e) {
@@ -370,73 +1138,290 @@ class BrowserInterface {
         }
     }
 
-    async takeScreenshot(filename) {
+    async takeScreenshot({ filename, tab }) {
+        const page = this.targetPage(tab);
         // If no filename provided, use default
         if (!filename) {
             filename = `screenshot-${moment().format('YYYY-MM-DD-HH-mm-ss')}.png`;
         }
         // Ensure .png extension
         const screenshotPath = path.join(dirs.screenshots, filename + (filename.endsWith('.png') ? '' : '.png'));
-        await this.page.screenshot({ path: screenshotPath, fullPage: true });
+        await page.screenshot({ path: screenshotPath, fullPage: true });
         console.log(chalk.green(`Screenshot saved to: ${screenshotPath}`));
         this.logger.info('Screenshot taken:', screenshotPath);
+        return { path: screenshotPath };
     }
 
-    async clickElement(selector) {
-        if (!selector) {
-            console.log(chalk.red('Please provide a selector'));
-            return;
-        }
+    // Wait for the selector to match an element that passes the action's checks
+    findElement(page, selector, action, { timeout, force } = {}) {
+        return waitForActionable(page, selector, { checks: ACTION_CHECKS[action], timeout, force });
+    }
+
+    // Run an element action, turning puppeteer failures into structured errors
+    async runAction(action, selector, fn) {
         try {
-            await this.page.click(selector);
-            console.log(chalk.green(`Clicked element: ${selector}`));
-            this.logger.info('Clicked element:', selector);
+            return await fn();
         } catch (error) {
-            console.error(chalk.red(`Failed to click element: ${error.message}`));
-            this.logger.error('Click failed:', error);
+            if (error instanceof CommandError) {
+                throw error;
+            }
+            throw new CommandError('ACTION_FAILED', `Failed to ${action} ${selector}: ${error.message}`, { action, selector });
         }
     }
 
-    async typeText(selector, text) {
-        if (!selector || !text) {
-            console.log(chalk.red('Please provide both selector and text'));
-            return;
+    async clickElement({ selector, tab, button, count, timeout, force }) {
+        const page = this.targetPage(tab);
+        await this.runAction('click', selector, async () => {
+            const element = await this.findElement(page, selector, 'click', { timeout, force });
+            await element.click({ button, clickCount: count });
+        });
+        console.log(chalk.green(`Clicked element: ${selector}`));
+        this.logger.info('Clicked element:', selector);
+        return { action: 'click', selector };
+    }
+
+    async typeText({ selector, text, tab, delay, clear, timeout, force }) {
+        const page = this.targetPage(tab);
+        const secret = await this.runAction('type into', selector, async () => {
+            const element = await this.findElement(page, selector, 'type', { timeout, force });
+            // A password is recorded as {{password}} in macros
+            const password = await element.evaluate(el => el.type === 'password');
+            if (clear) {
+                await element.evaluate(el => {
+                    if ('value' in el) {
+                        el.value = '';
+                    } else {
+                        el.textContent = '';
+                    }
+                    el.dispatchEvent(new Event('input', { bubbles: true }));
+                });
+            }
+            await element.type(text, { delay });
+            return password;
+        });
+        console.log(chalk.green(`Typed text into: ${selector}`));
+        this.logger.info('Typed text:', { selector, length: text.length });
+        return { action: 'type', selector, length: text.length, secret };
+    }
+
+    async hoverElement({ selector, tab, timeout, force }) {
+        const page = this.targetPage(tab);
+        await this.runAction('hover', selector, async () => {
+            const element = await this.findElement(page, selector, 'hover', { timeout, force });
+            await element.hover();
+        });
+        console.log(chalk.green(`Hovered element: ${selector}`));
+        return { action: 'hover', selector };
+    }
+
+    async selectOption({ selector, values, tab, timeout, force }) {
+        const page = this.targetPage(tab);
+        const selected = await this.runAction('select', selector, async () => {
+            const element = await this.findElement(page, selector, 'select', { timeout, force });
+            return element.select(...values);
+        });
+        if (selected.length === 0) {
+            throw new CommandError('ACTION_FAILED', `No options with value ${values.join(', ')} in ${selector}`, { selector, values });
         }
+        console.log(chalk.green(`Selected ${selected.join(', ')} in: ${selector}`));
+        return { action: 'select', selector, selected };
+    }
+
+    async pressKey({ key, selector, count = 1, tab, timeout, force }) {
+        const page = this.targetPage(tab);
+        // "Control+Shift+K" holds the modifiers while pressing the last key
+        const keys = key.split('+');
+        const mainKey = keys.pop();
+        await this.runAction('press', key, async () => {
+            if (selector) {
+                const element = await this.findElement(page, selector, 'press', { timeout, force });
+                await element.focus();
+            }
+            for (const modifier of keys) {
+                await page.keyboard.down(modifier);
+            }
+            for (let i = 0; i < count; i++) {
+                await page.keyboard.press(mainKey);
+            }
+            for (const modifier of keys.reverse()) {
+                await page.keyboard.up(modifier);
+            }
+        });
+        console.log(chalk.green(`Pressed: ${key}`));
+        return { action: 'press', key, count };
+    }
+
+    async scroll({ selector, x, y, to, tab, timeout, force }) {
+        const page = this.targetPage(tab);
+        const position = await this.runAction('scroll', selector || 'page', async () => {
+            if (selector) {
+                await this.findElement(page, selector, 'scroll', { timeout, force });
+            }
+            return page.evaluate((sel, dx, dy, edge) => {
+                const el = sel ? document.querySelector(sel) : null;
+                const scroller = document.scrollingElement || document.documentElement;
+                let target = el || scroller;
+                if (el && dx === null && dy === null && !edge) {
+                    el.scrollIntoView({ block: 'center', inline: 'center' });
+                    target = scroller;
+                } else if (edge) {
+                    target.scrollTop = edge === 'top' ? 0 : target.scrollHeight;
+                } else {
+                    target.scrollBy(dx || 0, dy || 0);
+                }
+                return { scrollX: target.scrollLeft, scrollY: target.scrollTop };
+            }, selector || null, x === undefined ? null : x, y === undefined ? null : y, to || null);
+        });
+        console.log(chalk.green(`Scrolled ${selector || 'page'} to (${position.scrollX}, ${position.scrollY})`));
+        return { action: 'scroll', selector: selector || null, ...position };
+    }
+
+    async uploadFiles({ selector, files, tab, timeout, force }) {
+        const page = this.targetPage(tab);
+        const paths = files.map(file => path.resolve(file));
+        for (const file of paths) {
+            if (!await fs.pathExists(file)) {
+                throw new CommandError('FILE_NOT_FOUND', `File not found: ${file}`, { file });
+            }
+        }
+        await this.runAction('upload to', selector, async () => {
+            const element = await this.findElement(page, selector, 'upload', { timeout, force });
+            await element.uploadFile(...paths);
+        });
+        console.log(chalk.green(`Uploaded ${paths.length} file(s) to: ${selector}`));
+        return { action: 'upload', selector, files: paths };
+    }
+
+    async wait({ ms }) {
+        if (ms < 0) {
+            throw new CommandError('INVALID_ARGS', 'Please provide a valid number of milliseconds');
+        }
+        await sleep(ms / 1000);
+        console.log(chalk.green(`Waited ${ms}ms`));
+        return { waited: ms };
+    }
+
+    async waitFor({ subcommand, tab, timeout, ...args }) {
+        const page = this.targetPage(tab);
+        const started = Date.now();
+        let result;
+
+        switch (subcommand) {
+            case 'selector':
+                result = await waitConditions.waitForSelectorState(page, args.selector, { state: args.state, timeout });
+                break;
+            case 'url':
+                result = await waitConditions.waitForUrl(page, args.pattern, { timeout });
+                break;
+            case 'network-idle':
+                result = await waitConditions.waitForNetworkIdle(page, { idleTime: args.idleTime, timeout });
+                break;
+            case 'function':
+                result = await waitConditions.waitForPredicate(page, args.expression, { polling: args.polling, timeout });
+                break;
+            case 'console':
+                result = await waitConditions.waitForConsole(page, args.pattern, { type: args.type, since: args.since, timeout });
+                break;
+        }
+
+        const elapsed = Date.now() - started;
+        console.log(chalk.green(`wait-for ${subcommand} satisfied after ${elapsed}ms`));
+        return { ...result, elapsed };
+    }
+
+    // Final URL, status and redirect chain of a navigation
+    navigationResult(page, response) {
+        const redirectChain = response
+            ? response.request().redirectChain().map(request => ({
+                url: request.url(),
+                status: request.response() ? request.response().status() : null
+            }))
+            : [];
+        return {
+            url: page.url(),
+            status: response ? response.status() : null,
+            redirectChain
+        };
+    }
+
+    // Run a navigation, mapping puppeteer failures to structured errors
+    async navigate(description, navigation) {
         try {
-            await this.page.type(selector, text);
-            console.log(chalk.green(`Typed text into: ${selector}`));
-            this.logger.info('Typed text:', { selector, text });
+            return await navigation();
         } catch (error) {
-            console.error(chalk.red(`Failed to type text: ${error.message}`));
-            this.logger.error('Type failed:', error);
+            if (error.name === 'TimeoutError') {
+                throw new CommandError('TIMEOUT', `Timed out during ${description}`, { reason: error.message });
+            }
+            throw new CommandError('NAVIGATION_FAILED', `Failed ${description}: ${error.message}`);
         }
     }
 
-    async wait(ms) {
-        const delay = parseInt(ms, 10);
-        if (isNaN(delay)) {
-            console.log(chalk.red('Please provide a valid number of milliseconds'));
-            return;
-        }
-        await sleep(delay / 1000);
-        console.log(chalk.green(`Waited ${delay}ms`));
+    async gotoUrl({ url, tab, waitUntil = 'load', timeout }) {
+        const page = this.targetPage(tab);
+        const target = normalizeUrl(url);
+        const response = await this.navigate(`navigating to ${target}`, () => page.goto(target, { waitUntil, timeout }));
+        const result = this.navigationResult(page, response);
+        console.log(chalk.green(`Navigated to ${result.url}${result.status ? ` (${result.status})` : ''}`));
+        return result;
+    }
+
+    async goBack({ tab, waitUntil = 'load', timeout }) {
+        const page = this.targetPage(tab);
+        const response = await this.navigate('going back', () => page.goBack({ waitUntil, timeout }));
+        const result = { ...this.navigationResult(page, response), navigated: response !== null };
+        console.log(chalk.green(result.navigated ? `Went back to ${result.url}` : 'No previous page'));
+        return result;
+    }
+
+    async goForward({ tab, waitUntil = 'load', timeout }) {
+        const page = this.targetPage(tab);
+        const response = await this.navigate('going forward', () => page.goForward({ waitUntil, timeout }));
+        const result = { ...this.navigationResult(page, response), navigated: response !== null };
+        console.log(chalk.green(result.navigated ? `Went forward to ${result.url}` : 'No next page'));
+        return result;
     }
 
-    async getCurrentUrl() {
-        const url = await this.page.url();
+    async getCurrentUrl({ tab }) {
+        const url = await this.targetPage(tab).url();
         console.log(chalk.green('Current URL:', url));
         return url;
     }
 
-    async reloadPage() {
-        await this.page.reload({ waitUntil: ['networkidle0', 'domcontentloaded'] });
+    async reloadPage({ tab }) {
+        const page = this.targetPage(tab);
+        await page.reload({ waitUntil: ['networkidle0', 'domcontentloaded'] });
         console.log(chalk.green('Page reloaded'));
+        return { url: page.url() };
+    }
+
+    // Also the supervisor's health check
+    async getStatus() {
+        const session = this.browserSession;
+        const status = {
+            session: SESSION_NAME,
+            pid: process.pid,
+            daemon: DAEMON,
+            uptime: Math.round(process.uptime()),
+            browser: {
+                mode: session ? session.mode : null,
+                pid: session ? session.pid : null,
+                connected: session ? session.browser.isConnected() : false,
+                reattached: session ? session.reattached : false
+            },
+            tabs: this.tabs.tabs.size,
+            url: this.tabs.activeId !== null ? this.page.url() : null
+        };
+        console.log(chalk.green(`Session ${status.session}: pid ${status.pid}, up ${status.uptime}s, ` +
+            `${status.tabs} tab(s), browser ${status.browser.connected ? 'connected' : 'disconnected'}`));
+        return status;
     }
 
     async exit() {
         console.log(chalk.yellow('\nClosing browser...'));
         await this.cleanup();
-        this.rl.close();
+        if (this.rl) {
+            this.rl.close();
+        }
         process.exit(0);
     }
 
@@ -446,82 +1431,609 @@ class BrowserInterface {
         console.log(chalk.cyan('Type "help" for available commands\n'));
     }
 
-    async sendChatMessage(message) {
+    async manageChat({ subcommand, tab, adapter: adapterName, ...args }, context) {
+        const page = this.targetPage(tab);
+        const adapters = await chatEngine.loadAdapters(SESSION_DIR, this.logger);
+        const adapter = chatEngine.findAdapter(adapters, page.url(), adapterName);
+        if (!adapter) {
+            // Pages with their own chat script (the pre-adapter convention) can still send
+            const legacy = subcommand === 'send' &&
+                await page.evaluate(() => typeof window.sendMessageAndReturnResponse === 'function');
+            if (!legacy) {
+                throw new CommandError('CHAT_ADAPTER_NOT_FOUND',
+                    `No chat adapter matches ${page.url()} (available: ${adapters.map(a => a.name).join(', ') || 'none'}); use --adapter to pick one`,
+                    { url: page.url() });
+            }
+            return page.evaluate((msg) => window.sendMessageAndReturnResponse(msg), args.message);
+        }
+
+        switch (subcommand) {
+            case 'send':
+                return this.sendChatMessage(page, adapter, args, context);
+            case 'history': {
+                const history = await chatEngine.readHistory(page, adapter);
+                const exported = args.format === 'markdown' ? chatEngine.historyToMarkdown(history) : history;
+                if (!args.output) {
+                    return exported;
+                }
+                await fs.outputFile(args.output, typeof exported === 'string' ? exported : `${JSON.stringify(exported, null, 2)}\n`);
+                console.log(chalk.green(`Saved ${history.messages.length} message(s) to ${args.output}`));
+                return { file: args.output, messages: history.messages.length };
+            }
+            case 'new': {
+                const result = await chatEngine.newChat(page, adapter);
+                console.log(chalk.green(`Started a new ${adapter.name} conversation`));
+                return result;
+            }
+        }
+    }
+
+    async sendChatMessage(page, adapter, { message, timeout, format }, { stream } = {}) {
         this.logger.debug('sendChatMessage called with:', message);
-        try {
-            const response = await this.page.evaluate(async (msg) => {
-                console.log('Evaluating in page with message:', msg);
-                if (!window.sendMessageAndReturnResponse) {
-                    throw new Error('sendMessageAndReturnResponse not available - are you on the correct page?');
+        this.logger.info(`Sending chat message via ${adapter.name}`);
+        const response = await chatEngine.sendChat(page, adapter, message, { timeout, format, onDelta: stream });
+        this.logger.debug('Got response:', response);
+        return response;
+    }
+
+    async manageNetwork({ subcommand, bodies, clear, id, har, tab, ...filters }) {
+        const network = this.network;
+        if (tab !== undefined) {
+            filters.tab = this.tabs.get(tab).id;
+        }
+        switch (subcommand) {
+            case 'start':
+                await network.start({ bodies, clear });
+                console.log(chalk.green(`Recording network requests${bodies ? ' with bodies' : ''}`));
+                return { capturing: true, bodies: network.bodies, requests: network.entries.length };
+            case 'stop':
+                await network.stop();
+                console.log(chalk.green(`Stopped recording (${network.entries.length} request(s) kept)`));
+                return { capturing: false, requests: network.entries.length };
+            case 'clear':
+                network.clear();
+                return { requests: 0 };
+            case 'list': {
+                const entries = network.select(filters).map(NetworkCapture.summarize);
+                entries.forEach(entry => {
+                    const status = entry.status === null ? chalk.red(entry.error || entry.state) :
+                        (entry.status >= 400 ? chalk.red(entry.status) : chalk.green(entry.status));
+                    const size = entry.size !== null ? ` ${(entry.size / 1024).toFixed(1)} kB` : '';
+                    const duration = entry.duration !== null ? ` ${entry.duration}ms` : '';
+                    console.log(`${chalk.gray(`#${entry.id}`)} ${entry.method} ${status} ${chalk.cyan(entry.type.toLowerCase())}` +
+                        `${chalk.gray(`${duration}${size}`)} ${entry.url}`);
+                });
+                if (!network.capturing && !network.entries.length) {
+                    console.log(chalk.yellow('Nothing recorded. Start with "network start".'));
                 }
-                return await window.sendMessageAndReturnResponse(msg);
-            }, message);
-            this.logger.debug('Got response:', response);
-            return response;
-        } catch (error) {
-            this.logger.error('Failed to send chat message:', error);
-            throw error;
+                return entries;
+            }
+            case 'get':
+                return network.get(id);
+            case 'export': {
+                if (!har) {
+                    throw new CommandError('INVALID_ARGS', 'network export needs --har <file>', { usage: 'network export --har <file>' });
+                }
+                const entries = network.select(filters);
+                await fs.outputJson(har, toHar(entries), { spaces: 2 });
+                console.log(chalk.green(`Saved ${entries.length} request(s) to ${har}`));
+                return { file: har, requests: entries.length };
+            }
+        }
+    }
+
+    async manageWebSockets({ subcommand, tab, kind, limit, ...filters }, { subscribe }) {
+        const network = this.network;
+        if (tab !== undefined) {
+            filters.tab = this.tabs.get(tab).id;
+        }
+        switch (subcommand) {
+            case 'list': {
+                const connections = network.selectConnections({ url: filters.url, tab: filters.tab, kind });
+                connections.forEach(connection => {
+                    const state = connection.error ? chalk.red(`${connection.state}: ${connection.error}`) :
+                        (connection.state === 'open' ? chalk.green(connection.state) : chalk.gray(connection.state));
+                    console.log(`${chalk.gray(`#${connection.id}`)} ${chalk.cyan(connection.kind)} ${state} ` +
+                        `${chalk.gray(`${connection.sent} sent, ${connection.received} received`)} ${connection.url || chalk.gray('(opened before recording started)')}`);
+                });
+                if (!network.capturing && !network.connections.length) {
+                    console.log(chalk.yellow('Nothing recorded. Start with "network start" or "ws tail".'));
+                }
+                return connections;
+            }
+            case 'frames': {
+                const frames = network.selectFrames({ ...filters, limit });
+                frames.forEach(frame => console.log(formatFrame(frame)));
+                return frames;
+            }
+            case 'tail': {
+                // New frames follow as ws-frame notifications, to this client only
+                if (subscribe) {
+                    subscribe('ws-frame');
+                }
+                // Frames are only recorded while network capture is on
+                const started = !network.capturing;
+                if (started) {
+                    await network.start();
+                    console.log(chalk.green('Recording network requests and frames'));
+                }
+                const frames = network.selectFrames({ ...filters, limit });
+                frames.forEach(frame => console.log(formatFrame(frame)));
+                return { capturing: true, started, filters, frames };
+            }
+        }
+    }
+
+    async queryLogs(filters) {
+        const events = await this.journal.query(filters);
+        events.forEach(event => console.log(formatEvent(event)));
+        return events;
+    }
+
+    async manageRecording({ subcommand, name, file }) {
+        const recorder = this.recorder;
+        switch (subcommand) {
+            case 'start': {
+                const status = await recorder.start({ name });
+                console.log(chalk.green(`Recording${name ? ` "${name}"` : ''} in every tab; save it with "record stop [file]"`));
+                return status;
+            }
+            case 'stop': {
+                const { file: saved, macro } = await recorder.stop(file);
+                console.log(chalk.green(`Saved ${macro.steps.length} step(s) to ${saved}`));
+                if (macro.variables.length) {
+                    console.log(chalk.yellow('Passwords were saved as {{password}}; replay with --var password=<value>'));
+                }
+                return { file: saved, name: macro.name, steps: macro.steps.length, variables: macro.variables };
+            }
+            case 'status': {
+                const status = recorder.status();
+                if (status.recording) {
+                    console.log(chalk.green(`Recording${status.name ? ` "${status.name}"` : ''} since ${status.startedAt}, ${status.steps} step(s)`));
+                    status.last.forEach(step => console.log(chalk.gray(`  ${step}`)));
+                } else {
+                    console.log(chalk.gray('Not recording'));
+                }
+                return status;
+            }
+        }
+    }
+
+    async runMacro({ file, speed, from, to, var: vars, step }, { stream }) {
+        if (step) {
+            throw new CommandError('INVALID_ARGS', '--step asks before every step; use ./cli.js replay <file> --step');
+        }
+        const macroFile = resolveMacroFile(file, dirs.macros);
+        const macro = await loadMacro(macroFile);
+        const unknown = macro.steps.map((macroStep, index) => (this.commands[macroStep.command] ? null : `step ${index + 1}: unknown command "${macroStep.command}"`))
+            .filter(Boolean);
+        if (unknown.length) {
+            throw new CommandError('INVALID_MACRO', `Invalid macro ${macroFile}: ${unknown.join('; ')}`, { file: macroFile, problems: unknown });
+        }
+
+        const started = Date.now();
+        const ran = await replayMacro(macro, {
+            // Replayed steps are journaled (and recorded) like any other command
+            execute: (command, args, { secret }) => this.execute(command, args, { source: 'replay', secret }),
+            page: (tab) => this.targetPage(tab),
+            speed,
+            from,
+            to,
+            vars: parseVars(vars),
+            onStep: (progress) => {
+                const label = `[${progress.index}/${progress.total}] ${progress.description}`;
+                if (progress.status === 'running') {
+                    console.log(chalk.cyan(label));
+                }
+                if (stream) {
+                    const text = { running: label, done: ` ok (${progress.duration}ms)\n`, failed: ` failed\n` }[progress.status];
+                    stream({ type: 'step', ...progress, text });
+                }
+            }
+        });
+        const duration = Date.now() - started;
+        console.log(chalk.green(`Replayed ${ran} step(s) of "${macro.name}" in ${duration}ms`));
+        return { file: macroFile, name: macro.name, ran, steps: macro.steps.length, duration };
+    }
+
+    async manageRoutes({ subcommand, id, file, append, url, ...options }) {
+        const router = this.router;
+        // One line per rule: "#2 GET */api/* -> fulfill 200 mocks/users.json (3 hits)"
+        const describe = (rule) => {
+            const actions = [];
+            if (rule.delay) {
+                actions.push(`delay ${rule.delay}ms`);
+            }
+            if (rule.abort) {
+                actions.push(`abort (${rule.abort})`);
+            } else if (rule.fulfill) {
+                actions.push(`fulfill ${rule.fulfill.status || 200}${rule.fulfill.file ? ` ${rule.fulfill.file}` : ''}`);
+            }
+            if (rule.setHeaders || rule.removeHeaders || rule.setBody !== undefined) {
+                actions.push('rewrite request');
+            }
+            const filters = [rule.method, rule.resourceType && rule.resourceType.join(',')].filter(Boolean).join(' ');
+            const hits = rule.hits !== undefined ? chalk.gray(` (${rule.hits} hit(s)${rule.times ? ` of ${rule.times}` : ''})`) : '';
+            const line = `#${rule.id} ${filters ? `${filters} ` : ''}${rule.url} -> ${actions.join(', ')}${hits}`;
+            return rule.enabled === false ? chalk.gray(`${line} [disabled]`) : line;
+        };
+
+        switch (subcommand) {
+            case 'add': {
+                const rule = await router.add(buildRouteRule(url, options));
+                console.log(chalk.green(`Added ${describe(rule)}`));
+                return rule;
+            }
+            case 'list': {
+                const rules = router.list();
+                rules.forEach(rule => console.log(describe(rule)));
+                if (!rules.length) {
+                    console.log(chalk.yellow(`No routes. Add one with "route add <pattern> ..." or put them in ${path.relative(process.cwd(), router.file)}.`));
+                }
+                return rules;
+            }
+            case 'remove': {
+                const rule = await router.remove(id);
+                console.log(chalk.green(`Removed ${describe(rule)}`));
+                return rule;
+            }
+            case 'enable':
+            case 'disable': {
+                const rule = await router.setEnabled(id, subcommand === 'enable');
+                console.log(chalk.green(`${subcommand === 'enable' ? 'Enabled' : 'Disabled'} route #${rule.id}`));
+                return rule;
+            }
+            case 'clear': {
+                const removed = await router.clear();
+                console.log(chalk.green(`Removed ${removed} route(s)`));
+                return { removed };
+            }
+            case 'load': {
+                const rules = await router.import(file, { append });
+                console.log(chalk.green(`Loaded ${file}; ${rules.length} route(s) active`));
+                rules.forEach(rule => console.log(`  ${describe(rule)}`));
+                return rules;
+            }
+            case 'save': {
+                const count = await router.export(file);
+                console.log(chalk.green(`Saved ${count} route(s) to ${file}`));
+                return { file, rules: count };
+            }
+        }
+    }
+
+    async manageState({ subcommand, name, file, force, cookies, storage, overwrite, origin, a, b }) {
+        // Bundles use their own passphrase when set, so teammates needn't share the at-rest key
+        const bundlePassphrase = process.env.GLYDE_EXPORT_PASSPHRASE || stateSecret;
+        switch (subcommand) {
+            case 'save': {
+                const file = await stateStore.save(name, await captureState(this.tabs, sessionState));
+                console.log(chalk.green(`State saved as "${name}"`));
+                return { name, file };
+            }
+            case 'list': {
+                const states = await stateStore.list();
+                states.forEach(state => {
+                    const label = state.type === 'snapshot' ? chalk.cyan(state.name) : chalk.gray(state.name);
+                    console.log(`  ${label} ${state.timestamp || ''} ${chalk.gray(`${state.origins.length} origin(s)`)}`);
+                });
+                return states;
+            }
+            case 'restore': {
+                const state = await stateStore.load(name);
+                const restored = await restoreState(this.tabs, state, { cookies, storage, overwrite, origin });
+                rememberState(state);
+                console.log(chalk.green(`Restored "${name}": ${restored.cookies} cookie(s)`));
+                Object.entries(restored.origins).forEach(([restoredOrigin, counts]) => {
+                    if (counts.error) {
+                        console.log(chalk.red(`  ${restoredOrigin}: ${counts.error}`));
+                    } else {
+                        console.log(`  ${restoredOrigin} ${chalk.gray(`(${counts.via})`)}: ` +
+                            `${counts.localStorage} localStorage, ${counts.sessionStorage} sessionStorage, ${counts.indexedDB} IndexedDB`);
+                    }
+                });
+                return { name, restored };
+            }
+            case 'diff': {
+                const before = await stateStore.load(a);
+                const after = b ? await stateStore.load(b) : await captureState(this.tabs, sessionState);
+                const diff = diffStates(before, after);
+                console.log(JSON.stringify(diff, null, 2));
+                return { a, b: b || 'current', diff };
+            }
+            case 'delete': {
+                await stateStore.remove(name);
+                console.log(chalk.green(`Deleted "${name}"`));
+                return { name, deleted: true };
+            }
+            case 'export': {
+                await stateStore.exportBundle(name, file, bundlePassphrase);
+                console.log(chalk.green(`Exported "${name}" to ${file}`));
+                return { name, file };
+            }
+            case 'import': {
+                const imported = await stateStore.importBundle(file, { name, passphrase: bundlePassphrase, force });
+                console.log(chalk.green(`Imported ${file} as "${imported.name}"`));
+                return { ...imported, file };
+            }
+            case 'prune': {
+                const removed = await stateStore.prune();
+                console.log(chalk.green(`Removed ${removed.length} autosave(s)`));
+                return { removed };
+            }
+        }
+    }
+
+    async listTabs() {
+        const tabs = await this.tabs.list();
+        tabs.forEach(tab => {
+            const marker = tab.active ? chalk.green('*') : ' ';
+            const name = tab.name ? chalk.cyan(` [${tab.name}]`) : '';
+            console.log(`${marker} ${tab.id}${name} ${tab.title} ${chalk.gray(tab.url)}`);
+        });
+        return tabs;
+    }
+
+    async listPlugins() {
+        const plugins = this.plugins ? this.plugins.list() : [];
+        plugins.forEach(plugin => {
+            const version = plugin.version ? ` ${plugin.version}` : '';
+            const status = plugin.status === 'loaded' ? chalk.green(plugin.status) : chalk.red(`${plugin.status}: ${plugin.error}`);
+            console.log(`${plugin.name}${version} ${status} ${chalk.gray(plugin.path)}`);
+            if (plugin.commands.length) {
+                console.log(chalk.cyan(`  commands: ${plugin.commands.join(', ')}`));
+            }
+            if (plugin.scripts.length) {
+                console.log(chalk.cyan(`  scripts: ${plugin.scripts.join(', ')}`));
+            }
+            if (plugin.chatAdapters.length) {
+                console.log(chalk.cyan(`  chat adapters: ${plugin.chatAdapters.join(', ')}`));
+            }
+        });
+        return plugins;
+    }
+
+    async manageScripts({ subcommand, tab, file, script, url, exclude, env, session, id, runAt, allFrames, dependsOn }) {
+        const printReport = (report) => {
+            console.log(chalk.cyan(`${report.url} (environment: ${report.env || 'none'}, session: ${report.session})`));
+            report.scripts.forEach(entry => {
+                const marker = entry.inject ? chalk.green('+') : chalk.gray('-');
+                const name = entry.source === 'plugin' ? `${entry.id} ${chalk.gray('(plugin)')}` : entry.id;
+                console.log(`  ${marker} ${name} ${chalk.gray(entry.runAt)} ${entry.inject ? entry.reason : chalk.gray(entry.reason)}`);
+            });
+            return report;
+        };
+        // Edits go through validation; the script watcher re-injects after the write
+        const editManifest = async (edit) => {
+            const manifest = await scriptManifest.readManifest();
+            const result = edit(manifest);
+            await scriptManifest.writeManifest(manifest);
+            return result;
+        };
+
+        switch (subcommand) {
+            case 'list':
+                return printReport(await explainScripts(this.targetPage(tab).url(), this.logger));
+            case 'test':
+                return printReport(await explainScripts(normalizeUrl(url), this.logger, session ? { session } : {}));
+            case 'run': {
+                const result = await runScriptFile(this.targetPage(tab), path.resolve(__dirname, file), this.logger);
+                console.log(chalk.green(`Ran ${result.path} (${result.status})`));
+                return result;
+            }
+            case 'add': {
+                if (!url) {
+                    throw new CommandError('INVALID_ARGS', 'scripts add needs at least one --url pattern');
+                }
+                const absolute = path.resolve(__dirname, file);
+                if (!fs.existsSync(absolute)) {
+                    throw new CommandError('FILE_NOT_FOUND', `Script file not found: ${file}`, { file });
+                }
+                const relative = path.relative(__dirname, absolute);
+                const entry = {
+                    ...(id ? { id } : {}),
+                    path: relative.startsWith('..') ? absolute : relative,
+                    sessions: session || ['*'],
+                    urlPatterns: env ? { [env]: url } : url,
+                    ...(exclude ? { exclude: env ? { [env]: exclude } : exclude } : {}),
+                    ...(runAt ? { runAt } : {}),
+                    ...(allFrames ? { allFrames } : {}),
+                    ...(dependsOn ? { dependsOn } : {})
+                };
+                await editManifest((manifest) => {
+                    manifest.scripts = manifest.scripts || [];
+                    const existing = manifest.scripts.find(other => path.resolve(__dirname, other.path) === absolute);
+                    if (existing) {
+                        throw new CommandError('INVALID_ARGS', `${entry.path} is already in the manifest`, { file: entry.path });
+                    }
+                    manifest.scripts.push(entry);
+                });
+                console.log(chalk.green(`Added ${entry.path}`));
+                return entry;
+            }
+            case 'remove': {
+                const removed = await editManifest((manifest) => manifest.scripts.splice(scriptManifest.findScript(manifest, script), 1)[0]);
+                console.log(chalk.green(`Removed ${removed.path} (pages keep it until they reload)`));
+                return removed;
+            }
+            case 'enable':
+            case 'disable': {
+                const updated = await editManifest((manifest) => {
+                    const entry = manifest.scripts[scriptManifest.findScript(manifest, script)];
+                    if (subcommand === 'enable') {
+                        delete entry.enabled;
+                    } else {
+                        entry.enabled = false;
+                    }
+                    return entry;
+                });
+                console.log(chalk.green(`${subcommand === 'enable' ? 'Enabled' : 'Disabled'} ${updated.path}`));
+                return updated;
+            }
+        }
+    }
+
+    async manageTab({ subcommand, url, id, name }) {
+        switch (subcommand) {
+            case 'new': {
+                const tab = await this.tabs.open(url && normalizeUrl(url));
+                console.log(chalk.green(`Opened tab ${tab.id}`));
+                return { id: tab.id, url: tab.page.url() };
+            }
+            case 'use': {
+                const tab = this.tabs.use(id);
+                await tab.page.bringToFront();
+                console.log(chalk.green(`Switched to tab ${tab.id}`));
+                return { id: tab.id, url: tab.page.url() };
+            }
+            case 'close': {
+                const tab = await this.tabs.close(id);
+                console.log(chalk.green(`Closed tab ${tab.id}`));
+                return { id: tab.id };
+            }
+            case 'name': {
+                const tab = this.tabs.rename(id, name);
+                console.log(chalk.green(`Named tab ${tab.id} "${tab.name}"`));
+                return { id: tab.id, name: tab.name };
+            }
         }
     }
 }
 
 async function launchBrowser() {
     try {
-        // Use session-specific user data directory
-        const chromeFlags = [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            `--user-data-dir=${USER_DATA_DIR}`,
-            '--start-maximized',
-            '--disable-infobars',
-            '--window-position=0,0'
-        ];
-
-        // Launch Chrome
-        const chrome = await chromeLauncher.launch({
-            chromeFlags,
-            logFile: path.join(USER_DATA_DIR, 'chrome-out.log'),
-            errFile: path.join(USER_DATA_DIR, 'chrome-err.log'),
-            pidFile: path.join(USER_DATA_DIR, 'chrome.pid')
-        });
+        const session = await startBrowser(sessionConfig.browser, { userDataDir: USER_DATA_DIR, logger });
+        const { browser } = session;
+        const { viewport } = sessionConfig.browser;
 
-        // Connect Puppeteer
-        const browser = await puppeteer.connect({
-            browserURL: `http://localhost:${chrome.port}`,
-            defaultViewport: null
-        });
+        let interface = null;
 
-        const page = await browser.newPage();
-        await setupPageLogging(page);
+        // Every tab, including popups, gets logging, state saving and script injection
+        const setupPage = async (page, tab) => {
+            // First, so capture running from startup sees the page's first requests
+            await interface.network.attachPage(page, tab);
+            await interface.router.attachPage(page);
+            await setupPageLogging(page, interface, tab.id, interface.journal);
+            await interface.recorder.attachPage(page, tab);
+            waitConditions.trackConsole(page);
 
-        // Set viewport
-        await page.setViewport({
-            width: 1280,
-            height: 800,
-            deviceScaleFactor: 1,
-        });
+            if (viewport) {
+                await page.setViewport({ deviceScaleFactor: 1, ...viewport });
+            }
 
-        // Initialize interface with session-specific socket path
-        const interface = new BrowserInterface(page, logger);
-        await interface.start();
+            await setupScriptInjection(page, logger);
+            chatEngine.setupChat(page, { sessionDir: SESSION_DIR, logger });
+            interface.plugins.attachPage(page, tab);
+            page.on('load', () => saveState(tabs, page));
+        };
+
+        const tabs = new TabManager(browser, logger, { setupPage });
 
-        // Load state if it exists
-        await loadState(page);
+        // Initialize interface with session-specific socket path
+        interface = new BrowserInterface(tabs, logger);
+        interface.browserSession = session;
 
-        // Set up page event handlers
-        page.on('load', () => {
-            saveState(page);
-            injectPageScripts(page, logger);
+        interface.journal = new EventJournal({
+            file: path.join(dirs.logs, 'events.ndjson'),
+            logger,
+            maxSize: sessionConfig.journal.maxSize,
+            commandDetails: sessionConfig.journal.commandDetails
         });
+        await interface.journal.open();
+
+        interface.recorder = new MacroRecorder({ tabs, logger, dir: dirs.macros, specs: interface.commandSpecs });
+
+        const { capture, bodies, maxEntries, maxBodySize, maxFrames } = sessionConfig.network;
+        interface.network = new NetworkCapture({ logger, maxEntries, maxBodySize, maxFrames });
+        interface.network.attachBrowser(browser);
+        // Subscribed clients follow streamed protocols (ws tail, /events?types=ws-frame) through notifications
+        interface.network.on('frame', frame => interface.notify({ type: 'ws-frame', frame }));
+        if (capture) {
+            await interface.network.start({ bodies });
+        }
 
-        // Navigate to initial page
-        logger.info('Navigating to agenthustle.ai...');
-        await page.goto('https://agenthustle.ai', {
-            waitUntil: 'networkidle0',
-            timeout: 60000
+        // Session routing rules apply from the first request on
+        interface.router = new RequestRouter({ logger, file: path.join(SESSION_DIR, 'routes.json') });
+        await interface.router.load();
+
+        // Plugins add commands, page event listeners and page scripts, so they
+        // load before the first tab is set up
+        interface.plugins = new PluginManager({ interface, tabs, logger, addScripts });
+        await interface.plugins.load(await loadManifest(logger));
+
+        supervisor.updateLock(SESSION_NAME, { chromePid: session.pid, mode: session.mode });
+
+        // Bring Chrome, crashed pages and the last closed tab back, and tell clients
+        interface.recovery = new RecoveryManager({
+            tabs,
+            logger,
+            relaunch: async () => {
+                const relaunched = await startBrowser(sessionConfig.browser, { userDataDir: USER_DATA_DIR, logger });
+                interface.browserSession = relaunched;
+                interface.network.attachBrowser(relaunched.browser);
+                supervisor.updateLock(SESSION_NAME, { chromePid: relaunched.pid, mode: relaunched.mode });
+                return relaunched;
+            },
+            restoreState: () => restoreLastState(tabs),
+            preparePage: (recoveredPage) => injectPageScripts(recoveredPage, logger),
+            isShuttingDown: () => shuttingDown
         });
+        interface.recovery.on('recovery', (event) => {
+            interface.notify({ type: 'recovery', ...event });
+            interface.journal.record({
+                type: 'recovery',
+                source: 'controller',
+                level: { started: 'warn', completed: 'info', failed: 'error' }[event.phase] || 'info',
+                ...event
+            });
+            // Out of options: exit so a supervisor can restart the whole controller
+            if (event.phase === 'failed' && event.reason === 'chrome-disconnected') {
+                process.exit(supervisor.CHROME_EXIT_CODE);
+            }
+        });
+        interface.recovery.watch(session);
+
+        // An attached Chrome keeps its tabs; a launched one gets a fresh tab
+        const existing = session.mode === 'connect' || session.reattached ? await browser.pages() : [];
+        for (const existingPage of existing) {
+            await tabs.add(existingPage);
+        }
+        const { page } = existing.length ? tabs.active : await tabs.add(await browser.newPage());
+
+        if (sessionConfig.scripts.watch) {
+            interface.scriptWatcher = watchScripts(() => Array.from(tabs.tabs.values(), tab => tab.page), logger);
+        }
+
+        // Optional localhost HTTP/WebSocket API
+        if (process.env.GLYDE_HTTP_PORT) {
+            interface.httpServer = await startHttpServer(interface, logger, {
+                port: parseInt(process.env.GLYDE_HTTP_PORT, 10),
+                token: process.env.GLYDE_HTTP_TOKEN
+            });
+        }
 
-        return page;
+        if (!DAEMON) {
+            await interface.start();
+        }
+
+        // Restore cookies and every saved origin's storage before the first navigation
+        await loadState(tabs);
+
+        // Navigate to initial page (GLYDE_START_URL or startUrl in the session config)
+        // (an attached Chrome's tab is only navigated if it's blank)
+        const { startUrl } = sessionConfig;
+        const pageIsBlank = ['about:blank', ''].includes(page.url());
+        if (startUrl && startUrl !== 'about:blank' && pageIsBlank) {
+            logger.info(`Navigating to ${startUrl}...`);
+            await page.goto(normalizeUrl(startUrl), {
+                waitUntil: 'networkidle0',
+                timeout: 60000
+            });
+        } else if (pageIsBlank) {
+            logger.info('Starting with a blank page');
+        }
+
+        return interface;
     } catch (error) {
         logger.error('Failed to launch browser:', error);
         throw error;
@@ -542,19 +2054,27 @@ process.on('unhandledRejection', (error) => {
 // Run the browser if this is the main module
 (async () => {
     try {
-        const page = await launchBrowser();
+        const browserInterface = await launchBrowser();
         
         // Keep process alive
-        process.stdin.resume();
-        console.log(chalk.green('Browser running. Press Ctrl+C to exit.'));
-        
-        // Handle cleanup on exit
-        process.on('SIGINT', async () => {
+        if (!DAEMON) {
+            process.stdin.resume();
+            console.log(chalk.green('Browser running. Press Ctrl+C to exit.'));
+        }
+
+        // Handle cleanup on exit (SIGTERM comes from "cli.js sessions stop")
+        const shutdown = async () => {
+            if (shuttingDown) {
+                return;
+            }
+            shuttingDown = true;
             console.log(chalk.yellow('\nShutting down...'));
-            const browser = page.browser();
-            await browser.close();
+            await browserInterface.cleanup();
+            await browserInterface.browserSession.close().catch(() => {});
             process.exit(0);
-        });
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
     } catch (error) {
         logger.error('Failed to start:', error);
         process.exit(1);
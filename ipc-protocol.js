@@ -0,0 +1,141 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+// Messages on the command socket are newline-delimited JSON. JSON.stringify never
+// emits raw newlines, so a newline always marks the end of a message.
+//
+//   request:  { "id": 1, "command": "eval", "args": "document.title" }
+//   response: { "id": 1, "result": "Example" } or { "id": 1, "error": "...", "code": "...", "details": {} }
+//
+// A request with "stream": true may get partial results before its response,
+// e.g. chat text as it renders: { "id": 1, "stream": { "type": "delta", "text": "Hel" } }
+//
+// Messages without an id are notifications and are emitted as events by the client.
+
+function encodeMessage(message) {
+    return JSON.stringify(message) + '\n';
+}
+
+// Accumulates socket chunks and calls onMessage once per complete line
+function createMessageParser(onMessage, onError) {
+    let buffer = '';
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (!line) {
+                    continue;
+                }
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (error) {
+                    onError(error, line);
+                    continue;
+                }
+                onMessage(message);
+            }
+        },
+
+        // Unterminated data received so far (used to detect legacy one-shot clients)
+        get pending() {
+            return buffer;
+        },
+
+        reset() {
+            buffer = '';
+        }
+    };
+}
+
+// Persistent client that can keep several commands in flight over one connection
+class IpcClient extends EventEmitter {
+    constructor(socketPath) {
+        super();
+        this.socketPath = socketPath;
+        this.socket = null;
+        this.nextId = 1;
+        this.pending = new Map();
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const parser = createMessageParser(
+                message => this.handleMessage(message),
+                // The reply to any request in flight may have been the bad line, so fail them all
+                (error, line) => this.failPending(new Error(`Invalid message from server: ${line.slice(0, 100)}`))
+            );
+
+            this.socket = net.createConnection(this.socketPath, () => {
+                this.socket.off('error', reject);
+                this.socket.on('error', error => this.failPending(error));
+                resolve(this);
+            });
+            this.socket.once('error', reject);
+            this.socket.setEncoding('utf8');
+            this.socket.on('data', chunk => parser.push(chunk));
+            this.socket.on('close', () => {
+                this.socket = null;
+                this.failPending(new Error('Connection closed'));
+                this.emit('close');
+            });
+        });
+    }
+
+    handleMessage(message) {
+        const request = message.id !== undefined && this.pending.get(message.id);
+        if (!request) {
+            this.emit('event', message);
+            return;
+        }
+        if (message.stream !== undefined) {
+            if (request.onStream) {
+                request.onStream(message.stream);
+            }
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.error) {
+            const error = new Error(message.error);
+            error.id = message.id;
+            error.code = message.code;
+            error.details = message.details;
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    failPending(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    // onStream receives the command's partial results, if it sends any
+    request(command, args, { onStream = null } = {}) {
+        if (!this.socket) {
+            return Promise.reject(new Error('Not connected'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onStream });
+            this.socket.write(encodeMessage(onStream ? { id, command, args, stream: true } : { id, command, args }));
+        });
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+module.exports = { encodeMessage, createMessageParser, IpcClient };
@@ -0,0 +1,598 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const { CommandError } = require('./errors');
+const { parseArgs } = require('./command-schema');
+
+const MACRO_VERSION = 1;
+
+// Commands that only look at or manage the session stay out of macros
+const RECORD_EXEMPT = ['record', 'replay', 'help', 'status', 'url', 'tabs', 'plugins', 'logs', 'network', 'ws', 'exit', 'clear'];
+
+// A navigation that starts this soon after a step is the step's doing, not a goto
+const CAUSED_NAVIGATION_WINDOW = 1500;
+// Page events this soon after a command are its own clicks and keys
+const COMMAND_ECHO_WINDOW = 300;
+
+// Options shared by the replay command and ./cli.js replay --step, which runs
+// the steps one by one itself
+const REPLAY_OPTIONS = {
+    speed: { type: 'number', default: 1, description: 'Playback speed: 2 waits half as long between steps, 0 not at all (default: 1)' },
+    from: { type: 'number', valueName: 'step', description: 'Start at this step (default: 1)' },
+    to: { type: 'number', valueName: 'step', description: 'Stop after this step (default: the last)' },
+    var: { type: 'array', valueName: 'name=value', description: 'Value for a {{name}} placeholder in the steps (repeatable)' },
+    step: { type: 'boolean', description: 'Ask before each step (./cli.js only)' }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs in the page while recording (top frame only). Clicks, typing, <select>
+// changes and Enter/Escape go to window.__glydeRecord with up to three
+// selectors each, most robust first: test ids, stable ids, name/label
+// attributes, button and link text, then a structural path.
+function installRecorder() {
+    if (window !== window.top || window.__glydeRecorder) {
+        return;
+    }
+    const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+    const LABEL_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt'];
+    const TEXT_TAGS = ['a', 'button', 'label', 'summary', 'option', 'li'];
+    const CLICKABLE = 'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [role="menuitem"], ' +
+        '[role="tab"], [role="checkbox"], [role="radio"], [role="switch"], [role="option"], [contenteditable=""], [contenteditable="true"]';
+    const NOT_TEXT = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'image', 'range', 'color'];
+
+    const quote = (value) => JSON.stringify(value);
+    const count = (selector) => {
+        try {
+            return document.querySelectorAll(selector).length;
+        } catch (error) {
+            return 0;
+        }
+    };
+    // Ids with long numbers or framework prefixes change from one load to the next
+    const stableId = (id) => id && !/\d{4,}|:|^(ember|react-|radix-|mui-|headlessui-)/i.test(id);
+    const textOf = (el) => (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ');
+
+    const anchorOf = (el) => {
+        for (const attr of TEST_ATTRIBUTES) {
+            const value = el.getAttribute(attr);
+            if (value && count(`[${attr}=${quote(value)}]`) === 1) {
+                return `[${attr}=${quote(value)}]`;
+            }
+        }
+        return stableId(el.id) && count(`#${CSS.escape(el.id)}`) === 1 ? `#${CSS.escape(el.id)}` : null;
+    };
+
+    // "#cart > li:nth-of-type(2) > button", from the nearest ancestor with a test id or stable id
+    const pathTo = (el) => {
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+            const anchor = node !== el && anchorOf(node);
+            if (anchor) {
+                parts.unshift(anchor);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            const twins = node.parentElement
+                ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+                : [];
+            parts.unshift(twins.length > 1 ? `${tag}:nth-of-type(${twins.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
+    };
+
+    // Puppeteer's text selector, when no other element of the kind has the same text
+    const textSelector = (el) => {
+        const tag = el.tagName.toLowerCase();
+        const role = el.getAttribute('role');
+        const text = textOf(el);
+        if (!text || text.length > 50 || (!TEXT_TAGS.includes(tag) && !role)) {
+            return null;
+        }
+        const base = TEXT_TAGS.includes(tag) ? tag : `[role=${quote(role)}]`;
+        const same = Array.from(document.querySelectorAll(base)).filter(other => textOf(other).includes(text));
+        return same.length === 1 ? `${base}::-p-text(${quote(text)})` : null;
+    };
+
+    const selectorsFor = (el) => {
+        const tag = el.tagName.toLowerCase();
+        const candidates = [anchorOf(el)];
+        LABEL_ATTRIBUTES.forEach(attr => {
+            const value = el.getAttribute(attr);
+            if (value) {
+                candidates.push(`${tag}[${attr}=${quote(value)}]`);
+            }
+        });
+        const href = tag === 'a' && el.getAttribute('href');
+        if (href && !href.startsWith('javascript:')) {
+            candidates.push(`a[href=${quote(href)}]`);
+        }
+        const selectors = candidates.filter(selector => selector && count(selector) === 1);
+        selectors.push(textSelector(el), pathTo(el));
+        return selectors.filter((selector, index, all) => selector && all.indexOf(selector) === index).slice(0, 3);
+    };
+
+    const send = (action) => {
+        if (typeof window.__glydeRecord === 'function') {
+            window.__glydeRecord({ at: Date.now(), ...action }).catch(() => {});
+        }
+    };
+
+    // Typing is sent once per field, with its final value, when the field is left
+    let typing = null;
+    let labelClick = null;
+    const isTextField = (el) => el.isContentEditable || el.tagName === 'TEXTAREA' ||
+        (el.tagName === 'INPUT' && !NOT_TEXT.includes(el.type));
+    const flush = () => {
+        if (!typing) {
+            return;
+        }
+        const { el, at } = typing;
+        typing = null;
+        send({
+            action: 'type',
+            selectors: selectorsFor(el),
+            text: el.isContentEditable ? el.innerText : el.value,
+            secret: el.type === 'password',
+            at
+        });
+    };
+
+    const listeners = {
+        click: (event) => {
+            const target = event.isTrusted && event.target.closest ? event.target.closest(CLICKABLE) || event.target : null;
+            if (!target || ['SELECT', 'OPTION'].includes(target.tagName)) {
+                return;
+            }
+            flush();
+            // Clicking a label clicks its control as well; the label click is the step
+            if (labelClick && labelClick.control === target && Date.now() - labelClick.at < 100) {
+                return;
+            }
+            labelClick = target.tagName === 'LABEL' ? { control: target.control, at: Date.now() } : null;
+            send({ action: 'click', selectors: selectorsFor(target) });
+        },
+        input: (event) => {
+            if (!isTextField(event.target)) {
+                return;
+            }
+            if (typing && typing.el !== event.target) {
+                flush();
+            }
+            typing = { el: event.target, at: Date.now() };
+        },
+        change: (event) => {
+            if (event.target.tagName === 'SELECT') {
+                flush();
+                send({ action: 'select', selectors: selectorsFor(event.target), values: Array.from(event.target.selectedOptions, option => option.value) });
+            }
+        },
+        keydown: (event) => {
+            if (!event.isTrusted || !['Enter', 'Escape'].includes(event.key)) {
+                return;
+            }
+            flush();
+            const modifiers = ['Control', 'Alt', 'Meta', 'Shift'].filter(modifier => event.getModifierState(modifier));
+            const focused = document.activeElement;
+            send({
+                action: 'press',
+                key: [...modifiers, event.key].join('+'),
+                selectors: focused && focused !== document.body ? selectorsFor(focused) : []
+            });
+        },
+        focusout: (event) => {
+            if (typing && typing.el === event.target) {
+                flush();
+            }
+        },
+        pagehide: flush
+    };
+
+    const targetOf = (type) => (type === 'pagehide' ? window : document);
+    Object.entries(listeners).forEach(([type, listener]) => targetOf(type).addEventListener(type, listener, true));
+    window.__glydeRecorder = {
+        flush,
+        stop() {
+            flush();
+            Object.entries(listeners).forEach(([type, listener]) => targetOf(type).removeEventListener(type, listener, true));
+            delete window.__glydeRecorder;
+        }
+    };
+}
+
+// A macro given by name lives in the session's macros directory
+function resolveMacroFile(file, dir) {
+    if (path.isAbsolute(file)) {
+        return file;
+    }
+    return path.join(dir, path.extname(file) ? file : `${file}.json`);
+}
+
+function validateMacro(macro) {
+    if (!macro || typeof macro !== 'object' || !Array.isArray(macro.steps)) {
+        return ['expected an object with a steps array'];
+    }
+    const problems = [];
+    if (macro.version !== MACRO_VERSION) {
+        problems.push(`unsupported version ${macro.version} (expected ${MACRO_VERSION})`);
+    }
+    macro.steps.forEach((step, index) => {
+        const label = `step ${index + 1}`;
+        if (!step || typeof step.command !== 'string') {
+            problems.push(`${label}: command must be a string`);
+            return;
+        }
+        if (['record', 'replay'].includes(step.command)) {
+            problems.push(`${label}: macros can't ${step.command}`);
+        }
+        if (step.args !== undefined && step.args !== null && !['string', 'object'].includes(typeof step.args)) {
+            problems.push(`${label}: args must be an object, array or string`);
+        }
+        if (step.delay !== undefined && !(typeof step.delay === 'number' && step.delay >= 0)) {
+            problems.push(`${label}: delay must be a number of milliseconds`);
+        }
+        if (step.alternatives !== undefined && !(Array.isArray(step.alternatives) && step.alternatives.every(item => typeof item === 'string'))) {
+            problems.push(`${label}: alternatives must be a list of selectors`);
+        }
+    });
+    return problems;
+}
+
+async function loadMacro(file) {
+    if (!await fs.pathExists(file)) {
+        throw new CommandError('FILE_NOT_FOUND', `Macro not found: ${file}`, { file });
+    }
+    let macro;
+    try {
+        macro = await fs.readJson(file);
+    } catch (error) {
+        throw new CommandError('INVALID_MACRO', `${file} is not valid JSON: ${error.message}`, { file });
+    }
+    const problems = validateMacro(macro);
+    if (problems.length) {
+        throw new CommandError('INVALID_MACRO', `Invalid macro ${file}: ${problems.join('; ')}`, { file, problems });
+    }
+    return macro;
+}
+
+// The step as it would be typed: click '#cart > li:nth-of-type(2) > button', type 'input[name="q"]' shoes --clear
+function describeStep({ command, args }) {
+    const show = (value) => {
+        if (typeof value !== 'string' || !/[\s"']/.test(value)) {
+            return String(value);
+        }
+        return value.includes("'") ? JSON.stringify(value) : `'${value}'`;
+    };
+    if (args === undefined || args === null || args === '') {
+        return command;
+    }
+    if (typeof args === 'string') {
+        return `${command} ${args}`;
+    }
+    if (Array.isArray(args)) {
+        return [command, ...args.map(show)].join(' ');
+    }
+    const parts = Object.entries(args).map(([key, value]) => {
+        if (['subcommand', 'selector', 'url', 'key', 'text', 'values', 'ms', 'expression', 'script'].includes(key)) {
+            return Array.isArray(value) ? value.map(show).join(' ') : show(value);
+        }
+        return value === true ? `--${key}` : `--${key} ${show(value)}`;
+    });
+    return [command, ...parts].join(' ');
+}
+
+// {{name}} placeholders in a step's args, e.g. the recorded value of a password field
+function placeholders(value) {
+    if (typeof value === 'string') {
+        return Array.from(value.matchAll(/\{\{(\w+)\}\}/g), match => match[1]);
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).flatMap(placeholders);
+    }
+    return [];
+}
+
+function fillPlaceholders(value, vars) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{(\w+)\}\}/g, (_, name) => vars[name]);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillPlaceholders(item, vars));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, vars)]));
+    }
+    return value;
+}
+
+// --var name=value options as { name: value }
+function parseVars(vars = []) {
+    return Object.fromEntries(vars.map(entry => {
+        const separator = entry.indexOf('=');
+        if (separator < 1) {
+            throw new CommandError('INVALID_ARGS', `--var must be name=value, not "${entry}"`);
+        }
+        return [entry.slice(0, separator), entry.slice(separator + 1)];
+    }));
+}
+
+// The first selector that matches now; the recorded one if none does yet, so the
+// step still waits for it
+async function pickSelector(page, selectors) {
+    for (const selector of selectors) {
+        const handle = await page.$(selector).catch(() => null);
+        if (handle) {
+            await handle.dispose();
+            return selector;
+        }
+    }
+    return selectors[0];
+}
+
+// Run steps from..to (1-based) through execute, waiting between them as long as
+// the recording did (divided by speed, less the time the last step took)
+async function replayMacro(macro, { execute, page, speed = 1, from = 1, to = macro.steps.length, vars = {}, onStep = () => {} }) {
+    const total = macro.steps.length;
+    if (!total) {
+        throw new CommandError('INVALID_MACRO', `Macro "${macro.name}" has no steps`);
+    }
+    if (from < 1 || to > total || from > to) {
+        throw new CommandError('INVALID_ARGS', `Steps must be within 1-${total}, not ${from}-${to}`);
+    }
+    const steps = macro.steps.slice(from - 1, to);
+    const missing = [...new Set(steps.flatMap(step => placeholders(step.args)))].filter(name => vars[name] === undefined);
+    if (missing.length) {
+        throw new CommandError('INVALID_ARGS', `Macro needs ${missing.map(name => `--var ${name}=<value>`).join(' ')}`, { missing });
+    }
+
+    let lastDuration = null;
+    for (const [offset, step] of steps.entries()) {
+        const index = from + offset;
+        if (lastDuration !== null && speed > 0) {
+            await sleep(Math.max(0, (step.delay || 0) / speed - lastDuration));
+        }
+
+        const args = fillPlaceholders(step.args, vars);
+        if (step.alternatives && step.alternatives.length && args && typeof args === 'object' && args.selector) {
+            args.selector = await pickSelector(page(args.tab), [args.selector, ...step.alternatives]);
+        }
+        const description = describeStep({ command: step.command, args: step.alternatives ? { ...step.args, selector: args.selector } : step.args });
+
+        onStep({ index, total, description, status: 'running' });
+        const started = Date.now();
+        try {
+            // Args filled in with --var values are secret; the step as written isn't
+            await execute(step.command, args, { secret: placeholders(step.args).length ? step.args : null });
+        } catch (error) {
+            onStep({ index, total, description, status: 'failed', error: error.message });
+            throw new CommandError('REPLAY_FAILED', `Step ${index} (${description}) failed: ${error.message}`, { step: index, code: error.code });
+        }
+        lastDuration = Date.now() - started;
+        onStep({ index, total, description, status: 'done', duration: lastDuration });
+    }
+    return steps.length;
+}
+
+// Records what happens in the browser as a macro: clicks, typing, <select>
+// changes and Enter/Escape in every tab, navigations that no step caused, and
+// commands from any client. Steps are commands with the args to replay them:
+//
+//   { command: 'click', args: { selector }, alternatives: [selector, ...], delay, source }
+//
+// delay is the time since the previous step (ms); source is page, navigation or command.
+class MacroRecorder {
+    constructor({ tabs, logger, dir, specs }) {
+        this.tabs = tabs;
+        this.logger = logger;
+        this.dir = dir;
+        this.specs = specs;
+        this.recording = null;
+        this.pages = new Map();
+        this.exposed = new WeakSet();
+        this.spans = [];
+        this.lastActivity = 0;
+    }
+
+    async attachPage(page, tab) {
+        const state = { tab, scriptId: null, navigation: null };
+        this.pages.set(page, state);
+        page.once('close', () => this.pages.delete(page));
+
+        // Whether a top-level navigation was caused by a step is decided when its
+        // request starts; the page may take a while to answer
+        page.on('request', request => {
+            if (this.recording && request.isNavigationRequest() && request.frame() === page.mainFrame() && !request.redirectChain().length) {
+                state.navigation = { caused: this.recentActivity() };
+            }
+        });
+        page.on('framenavigated', frame => {
+            if (!this.recording || frame !== page.mainFrame() || /^(about|chrome-error):/.test(frame.url())) {
+                return;
+            }
+            const caused = state.navigation ? state.navigation.caused : this.recentActivity();
+            state.navigation = null;
+            if (!caused) {
+                this.addStep({ command: 'goto', args: { url: frame.url(), ...this.tabArgs(page) } }, 'navigation');
+            }
+        });
+
+        if (this.recording) {
+            await this.installPage(page, state);
+        }
+    }
+
+    async installPage(page, state) {
+        if (!this.exposed.has(page)) {
+            await page.exposeFunction('__glydeRecord', action => this.onPageAction(page, action));
+            this.exposed.add(page);
+        }
+        state.scriptId = (await page.evaluateOnNewDocument(installRecorder)).identifier;
+        await page.evaluate(installRecorder).catch(() => {}); // Mid-navigation; the new document gets it
+    }
+
+    async uninstallPage(page, state) {
+        if (state.scriptId) {
+            await page.removeScriptToEvaluateOnNewDocument(state.scriptId);
+            state.scriptId = null;
+        }
+        await page.evaluate(() => window.__glydeRecorder && window.__glydeRecorder.stop()).catch(() => {});
+    }
+
+    async start({ name } = {}) {
+        if (this.recording) {
+            throw new CommandError('RECORDING_ACTIVE', 'Already recording; save it with "record stop" first');
+        }
+        const startUrl = this.tabs.activePage.url();
+        this.recording = { name: name || null, startedAt: new Date().toISOString(), startUrl, steps: [], lastStepAt: Date.now(), variables: new Set() };
+        this.spans = [];
+
+        await Promise.all(Array.from(this.pages, ([page, state]) =>
+            this.installPage(page, state).catch(error => this.logger.warn('Could not record in a tab:', error.message))));
+
+        // Replays start where the recording did
+        if (!/^(about|chrome-error):/.test(startUrl) && startUrl) {
+            this.addStep({ command: 'goto', args: { url: startUrl } }, 'navigation');
+        }
+        return this.status();
+    }
+
+    // Save the recording to file (default: <dir>/<name>.json) and return { file, macro }
+    async stop(file) {
+        if (!this.recording) {
+            throw new CommandError('NOT_RECORDING', 'Not recording; start with "record start"');
+        }
+        // Typing still in a field becomes a step before the recorder comes out
+        await Promise.all(Array.from(this.pages, ([page, state]) =>
+            this.uninstallPage(page, state).catch(error => this.logger.debug('Recorder removal failed:', error.message))));
+
+        const { name, startedAt, startUrl, steps, variables } = this.recording;
+        this.recording = null;
+        const macroName = name || (file ? path.basename(file, path.extname(file)) : `macro-${moment(startedAt).format('YYYYMMDD-HHmmss')}`);
+        const macro = {
+            version: MACRO_VERSION,
+            name: macroName,
+            recordedAt: startedAt,
+            startUrl,
+            variables: Array.from(variables),
+            steps
+        };
+        const target = resolveMacroFile(file || macroName, this.dir);
+        await fs.outputJson(target, macro, { spaces: 2 });
+        return { file: target, macro };
+    }
+
+    status() {
+        if (!this.recording) {
+            return { recording: false };
+        }
+        const { name, startedAt, steps } = this.recording;
+        return { recording: true, name, startedAt, steps: steps.length, last: steps.slice(-5).map(describeStep) };
+    }
+
+    // Called by the controller around every command. Returns null when the
+    // command isn't recorded, else { done(result), failed } to call when it ends.
+    trackCommand(command, args) {
+        if (!this.recording || RECORD_EXEMPT.includes(command)) {
+            return null;
+        }
+        const span = { start: Date.now(), end: null };
+        this.spans = [...this.spans.slice(-49), span];
+        const end = () => {
+            span.end = Date.now();
+            this.lastActivity = span.end;
+        };
+        return {
+            done: (result) => {
+                end();
+                if (this.recording) {
+                    this.addStep({ command, args: this.commandArgs(command, args, result) }, 'command', span.start);
+                }
+            },
+            failed: end
+        };
+    }
+
+    // Text a command typed into a password field is saved as {{password}}, like
+    // typing in the page; placeholders of replayed steps are kept
+    commandArgs(command, args, result) {
+        if (command === 'type' && result && result.secret) {
+            const parsed = parseArgs(command, this.specs[command], args);
+            args = Object.fromEntries(Object.entries({ ...parsed, text: '{{password}}' }).filter(([, value]) => value !== undefined));
+        }
+        placeholders(args).forEach(name => this.recording.variables.add(name));
+        return args;
+    }
+
+    onPageAction(page, action) {
+        if (!this.recording || !this.pages.has(page) || this.isEcho(action.at)) {
+            return;
+        }
+        const [selector, ...alternatives] = action.selectors || [];
+        let args;
+        switch (action.action) {
+            case 'click':
+                args = { selector };
+                break;
+            case 'type':
+                if (action.text === '') {
+                    return;
+                }
+                args = { selector, text: action.secret ? '{{password}}' : action.text, clear: true };
+                if (action.secret) {
+                    this.recording.variables.add('password');
+                }
+                break;
+            case 'select':
+                args = { selector, values: action.values };
+                break;
+            case 'press':
+                args = selector ? { key: action.key, selector } : { key: action.key };
+                break;
+            default:
+                return;
+        }
+        if (action.action !== 'press' && !selector) {
+            return;
+        }
+        const step = { command: action.action, args: { ...args, ...this.tabArgs(page) } };
+        if (alternatives.length) {
+            step.alternatives = alternatives;
+        }
+        this.addStep(step, 'page', action.at);
+    }
+
+    addStep(step, source, at = Date.now()) {
+        const { recording } = this;
+        recording.steps.push({ ...step, delay: recording.steps.length ? Math.max(0, at - recording.lastStepAt) : 0, source });
+        recording.lastStepAt = Math.max(recording.lastStepAt, at);
+        this.lastActivity = Math.max(this.lastActivity, Date.now());
+    }
+
+    // Steps in a tab other than the active one say which
+    tabArgs(page) {
+        const state = this.pages.get(page);
+        if (!state || page === this.tabs.activePage) {
+            return {};
+        }
+        return { tab: String(state.tab.name || state.tab.id) };
+    }
+
+    isEcho(at) {
+        return this.spans.some(span => at >= span.start && (span.end === null || at <= span.end + COMMAND_ECHO_WINDOW));
+    }
+
+    recentActivity() {
+        return this.spans.some(span => span.end === null) || Date.now() - this.lastActivity < CAUSED_NAVIGATION_WINDOW;
+    }
+}
+
+module.exports = {
+    MacroRecorder,
+    REPLAY_OPTIONS,
+    RECORD_EXEMPT,
+    resolveMacroFile,
+    loadMacro,
+    replayMacro,
+    describeStep,
+    parseVars
+};
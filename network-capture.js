@@ -0,0 +1,675 @@
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const { CommandError } = require('./errors');
+const { compilePattern } = require('./url-matcher');
+const { version } = require('./package.json');
+
+const DEFAULT_MAX_ENTRIES = 2000;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+const DEFAULT_MAX_FRAMES = 5000;
+
+// Workers whose requests don't go through any page's DevTools session
+const WORKER_TARGETS = ['service_worker', 'shared_worker'];
+
+// WebSocket opcodes; DevTools reports whole messages, never continuations
+const FRAME_TYPES = { 1: 'text', 2: 'binary', 8: 'close', 9: 'ping', 10: 'pong' };
+
+// ExtraInfo events can arrive after their request finished, or belong to a
+// request that is never reported (cached, blocked); this many of each are kept
+const MAX_EXTRA_INFO = 500;
+
+// --bodies keeps the bodies of API calls and pages; scripts, styles, images,
+// fonts and media are fetched on demand by "network get"
+const BODY_TYPES = ['XHR', 'Fetch', 'Document'];
+const TEXT_MIME_PATTERN = /^text\/|[/+](json|xml|javascript|x-www-form-urlencoded)\b|^application\/(graphql|x-ndjson)/i;
+
+const HTTP_VERSIONS = { 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2', h3: 'HTTP/3' };
+
+// Drop the oldest keys of a Map past MAX_EXTRA_INFO
+const trim = (map) => {
+    while (map.size > MAX_EXTRA_INFO) {
+        map.delete(map.keys().next().value);
+    }
+};
+
+// Duration of a phase in ResourceTiming offsets, or -1 when it didn't happen
+const phase = (start, end) => (start >= 0 && end >= 0 ? Math.round((end - start) * 1000) / 1000 : -1);
+
+// Records every request and response of every tab (and of service and shared
+// workers) through the DevTools Network domain, so it also sees preflights,
+// service worker fetches and requests made before page scripts run.
+//
+// Entries look like:
+//   { id, tab, source, url, method, type, startedAt, state, request: { headers, postData },
+//     response: { status, statusText, headers, mimeType, ... }, timing, duration, size, error, body }
+//
+// It also records the messages of WebSockets, EventSources and fetched
+// text/event-stream responses, emitting 'frame' for each one:
+//   connection: { id, tab, source, kind, url, state, status, createdAt, closedAt, error, sent, received }
+//   frame:      { id, connection, tab, url, direction, type, at, size, data, encoding, event, eventId }
+class NetworkCapture extends EventEmitter {
+    constructor({ logger, maxEntries = DEFAULT_MAX_ENTRIES, maxBodySize = DEFAULT_MAX_BODY_SIZE, maxFrames = DEFAULT_MAX_FRAMES } = {}) {
+        super();
+        this.logger = logger;
+        this.maxEntries = maxEntries;
+        this.maxBodySize = maxBodySize;
+        this.maxFrames = maxFrames;
+        this.capturing = false;
+        this.bodies = false;
+        this.entries = [];
+        this.nextId = 1;
+        // page or worker target -> { client, tab, kind }
+        this.sources = new Map();
+        this.pages = new Map();
+        // Requests still in flight, by "<source>:<requestId>"
+        this.inFlight = new Map();
+        // ExtraInfo events (the headers actually sent, incl. cookies) can arrive before their request
+        this.extraInfo = new Map();
+        // ...or after it finished, by key like inFlight
+        this.finished = new Map();
+        this.connections = [];
+        this.frames = [];
+        this.nextConnectionId = 1;
+        this.nextFrameId = 1;
+        // Open connections, by "<source>:<requestId>" like requests
+        this.sockets = new Map();
+        // Per-entry and per-connection bookkeeping kept out of the objects themselves
+        this.meta = new WeakMap();
+        this.nextSourceId = 1;
+        this.browser = null;
+
+        this.onTargetCreated = (target) => {
+            if (this.capturing && WORKER_TARGETS.includes(target.type())) {
+                this.attachWorker(target);
+            }
+        };
+        this.onTargetDestroyed = (target) => {
+            this.sources.delete(target);
+        };
+    }
+
+    // Called with each browser, including one relaunched after a crash
+    attachBrowser(browser) {
+        if (this.browser) {
+            this.browser.off('targetcreated', this.onTargetCreated);
+            this.browser.off('targetdestroyed', this.onTargetDestroyed);
+        }
+        this.browser = browser;
+        browser.on('targetcreated', this.onTargetCreated);
+        browser.on('targetdestroyed', this.onTargetDestroyed);
+        if (this.capturing) {
+            browser.targets().filter(target => WORKER_TARGETS.includes(target.type())).forEach(target => this.attachWorker(target));
+        }
+    }
+
+    // Called for every tab's page; starts recording it right away while capturing
+    async attachPage(page, tab) {
+        this.pages.set(page, tab);
+        page.once('close', () => {
+            this.pages.delete(page);
+            this.sources.delete(page);
+        });
+        if (this.capturing) {
+            await this.attachSource(page, () => page.target().createCDPSession(), { tab, kind: 'page' });
+        }
+    }
+
+    attachWorker(target) {
+        return this.attachSource(target, () => target.createCDPSession(), { tab: null, kind: target.type() });
+    }
+
+    async attachSource(owner, createSession, { tab, kind }) {
+        if (this.sources.has(owner)) {
+            return;
+        }
+        const source = { id: this.nextSourceId++, tab, kind, client: null };
+        this.sources.set(owner, source);
+        try {
+            source.client = await createSession();
+            const handlers = {
+                'Network.requestWillBeSent': (event) => this.onRequest(source, event),
+                'Network.requestWillBeSentExtraInfo': (event) => this.onExtraInfo(source, event, 'request'),
+                'Network.responseReceived': (event) => this.onResponse(source, event),
+                'Network.responseReceivedExtraInfo': (event) => this.onExtraInfo(source, event, 'response'),
+                'Network.loadingFinished': (event) => this.onFinished(source, event),
+                'Network.loadingFailed': (event) => this.onFailed(source, event),
+                'Network.webSocketCreated': (event) => this.openConnection(source, event.requestId, 'websocket', event.url),
+                'Network.webSocketHandshakeResponseReceived': (event) => this.onHandshake(source, event),
+                'Network.webSocketFrameSent': (event) => this.onSocketFrame(source, event, 'sent'),
+                'Network.webSocketFrameReceived': (event) => this.onSocketFrame(source, event, 'received'),
+                'Network.webSocketFrameError': (event) => this.onSocketError(source, event),
+                'Network.webSocketClosed': (event) => this.closeConnection(`${source.id}:${event.requestId}`),
+                'Network.eventSourceMessageReceived': (event) => this.onEventSourceMessage(source, event),
+                'Network.dataReceived': (event) => this.onData(source, event)
+            };
+            Object.entries(handlers).forEach(([event, handler]) => source.client.on(event, handler));
+            await source.client.send('Network.enable', { maxPostDataSize: 64 * 1024 });
+        } catch (error) {
+            this.sources.delete(owner);
+            this.logger.debug(`Network capture could not attach to a ${kind}:`, error.message);
+        }
+    }
+
+    async start({ bodies = false, clear = false } = {}) {
+        if (clear) {
+            this.clear();
+        }
+        this.bodies = bodies;
+        if (this.capturing) {
+            return;
+        }
+        this.capturing = true;
+        const attaching = Array.from(this.pages, ([page, tab]) =>
+            this.attachSource(page, () => page.target().createCDPSession(), { tab, kind: 'page' }));
+        if (this.browser) {
+            attaching.push(...this.browser.targets()
+                .filter(target => WORKER_TARGETS.includes(target.type()))
+                .map(target => this.attachWorker(target)));
+        }
+        await Promise.all(attaching);
+        this.logger.info(`Network capture started${bodies ? ' (with bodies)' : ''}`);
+    }
+
+    async stop() {
+        this.capturing = false;
+        const sources = Array.from(this.sources.values());
+        this.sources.clear();
+        await Promise.all(sources.filter(source => source.client).map(source => source.client.detach().catch(() => {})));
+        this.inFlight.clear();
+        this.extraInfo.clear();
+        this.finished.clear();
+        this.sockets.clear();
+        this.logger.info(`Network capture stopped (${this.entries.length} request(s) and ${this.frames.length} frame(s) recorded)`);
+    }
+
+    // Forgets requests and frames; connections that are still open stay listed
+    clear() {
+        this.entries = [];
+        this.finished.clear();
+        this.frames = [];
+        this.connections = Array.from(this.sockets.values());
+    }
+
+    onRequest(source, event) {
+        const key = `${source.id}:${event.requestId}`;
+        const previous = this.inFlight.get(key);
+        // Redirects reuse the request id: the previous hop ends with the redirect response
+        if (previous && event.redirectResponse) {
+            this.applyResponse(previous, event.redirectResponse);
+            previous.redirectURL = event.request.url;
+            this.finish(key, previous, event.timestamp);
+        }
+
+        const { request } = event;
+        const entry = {
+            id: this.nextId++,
+            tab: source.tab ? source.tab.id : null,
+            source: source.kind,
+            url: request.url + (request.urlFragment || ''),
+            method: request.method,
+            type: event.type || 'Other',
+            startedAt: new Date(event.wallTime * 1000).toISOString(),
+            state: 'pending',
+            request: {
+                headers: { ...request.headers },
+                postData: request.postData !== undefined ? request.postData : null,
+                initiator: event.initiator ? event.initiator.type : null
+            },
+            response: null,
+            timing: null,
+            duration: null,
+            size: null,
+            error: null
+        };
+        this.meta.set(entry, { source, requestId: event.requestId, started: event.timestamp, resourceTiming: null });
+        this.inFlight.set(key, entry);
+        const extra = this.extraInfo.get(key);
+        if (extra && extra.request) {
+            Object.assign(entry.request.headers, extra.request);
+            delete extra.request;
+        }
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        if (event.type === 'EventSource') {
+            this.openConnection(source, event.requestId, 'eventsource', entry.url);
+        }
+        if (request.hasPostData && request.postData === undefined && this.bodies) {
+            source.client.send('Network.getRequestPostData', { requestId: event.requestId })
+                .then(({ postData }) => {
+                    entry.request.postData = postData;
+                })
+                .catch(() => {});
+        }
+    }
+
+    onExtraInfo(source, event, side) {
+        const key = `${source.id}:${event.requestId}`;
+        const entry = this.inFlight.get(key) || this.finished.get(key);
+        if (side === 'request' && entry) {
+            Object.assign(entry.request.headers, event.headers);
+        } else if (side === 'response' && entry && entry.response) {
+            Object.assign(entry.response.headers, event.headers);
+        } else if (!this.finished.has(key)) {
+            // Waits for its request, which may never come
+            this.extraInfo.set(key, { ...this.extraInfo.get(key), [side]: event.headers });
+            trim(this.extraInfo);
+        }
+    }
+
+    onResponse(source, event) {
+        const key = `${source.id}:${event.requestId}`;
+        const entry = this.inFlight.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.type = event.type || entry.type;
+        this.applyResponse(entry, event.response);
+        const extra = this.extraInfo.get(key);
+        if (extra && extra.response) {
+            Object.assign(entry.response.headers, extra.response);
+            delete extra.response;
+        }
+
+        const connection = this.sockets.get(key);
+        if (connection) {
+            connection.state = 'open';
+            connection.status = event.response.status;
+        } else if (event.response.mimeType === 'text/event-stream') {
+            this.streamEvents(source, event, entry);
+        }
+    }
+
+    // Server-sent events read with fetch or XHR (how most chat apps stream answers)
+    // only reach DevTools once the response body is streamed to it
+    streamEvents(source, event, entry) {
+        const connection = this.openConnection(source, event.requestId, 'event-stream', entry.url);
+        connection.state = 'open';
+        connection.status = event.response.status;
+        source.client.send('Network.streamResourceContent', { requestId: event.requestId })
+            .then(({ bufferedData }) => this.parseEventStream(connection, Buffer.from(bufferedData, 'base64')))
+            .catch((error) => {
+                connection.error = `Chrome can't stream this response (${error.message})`;
+            });
+    }
+
+    applyResponse(entry, response) {
+        entry.response = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: { ...response.headers },
+            mimeType: response.mimeType,
+            protocol: response.protocol || null,
+            remoteAddress: response.remoteIPAddress ? `${response.remoteIPAddress}:${response.remotePort}` : null,
+            fromCache: Boolean(response.fromDiskCache || response.fromPrefetchCache),
+            fromServiceWorker: Boolean(response.fromServiceWorker)
+        };
+        this.meta.get(entry).resourceTiming = response.timing || null;
+    }
+
+    onFinished(source, event) {
+        const key = `${source.id}:${event.requestId}`;
+        const entry = this.inFlight.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.size = event.encodedDataLength;
+        this.finish(key, entry, event.timestamp);
+        if (this.bodies && BODY_TYPES.includes(entry.type) && entry.response && TEXT_MIME_PATTERN.test(entry.response.mimeType)) {
+            this.fetchBody(entry).catch(() => {});
+        }
+    }
+
+    onFailed(source, event) {
+        const key = `${source.id}:${event.requestId}`;
+        const entry = this.inFlight.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.error = event.blockedReason ? `${event.errorText} (${event.blockedReason})` : event.errorText;
+        const connection = this.sockets.get(key);
+        if (connection && !event.canceled) {
+            connection.error = entry.error;
+        }
+        this.finish(key, entry, event.timestamp);
+    }
+
+    finish(key, entry, timestamp) {
+        const meta = this.meta.get(entry);
+        entry.state = entry.error ? 'failed' : 'finished';
+        entry.duration = Math.round((timestamp - meta.started) * 1000);
+        entry.timing = this.timingOf(entry, meta, timestamp);
+        this.inFlight.delete(key);
+        this.extraInfo.delete(key);
+        // Most recent last, so trimming drops the oldest
+        this.finished.delete(key);
+        this.finished.set(key, entry);
+        trim(this.finished);
+        this.closeConnection(key);
+    }
+
+    openConnection(source, requestId, kind, url) {
+        const key = `${source.id}:${requestId}`;
+        if (this.sockets.has(key)) {
+            return this.sockets.get(key);
+        }
+        const connection = {
+            id: this.nextConnectionId++,
+            tab: source.tab ? source.tab.id : null,
+            source: source.kind,
+            kind,
+            url,
+            state: 'connecting',
+            status: null,
+            createdAt: new Date().toISOString(),
+            closedAt: null,
+            error: null,
+            sent: 0,
+            received: 0
+        };
+        this.meta.set(connection, { decoder: new StringDecoder('utf8'), buffer: '' });
+        this.sockets.set(key, connection);
+        this.connections.push(connection);
+        if (this.connections.length > this.maxEntries) {
+            this.connections.splice(0, this.connections.length - this.maxEntries);
+        }
+        return connection;
+    }
+
+    closeConnection(key) {
+        const connection = this.sockets.get(key);
+        if (connection) {
+            connection.state = 'closed';
+            connection.closedAt = new Date().toISOString();
+            this.sockets.delete(key);
+        }
+    }
+
+    onHandshake(source, event) {
+        const connection = this.sockets.get(`${source.id}:${event.requestId}`);
+        if (connection) {
+            connection.state = 'open';
+            connection.status = event.response.status;
+        }
+    }
+
+    onSocketFrame(source, event, direction) {
+        // Sockets opened before recording started were never announced; their URL is unknown
+        const connection = this.sockets.get(`${source.id}:${event.requestId}`) ||
+            Object.assign(this.openConnection(source, event.requestId, 'websocket', null), { state: 'open' });
+        const { opcode, payloadData } = event.response;
+        this.recordFrame(connection, direction, {
+            type: FRAME_TYPES[opcode] || `opcode ${opcode}`,
+            data: payloadData,
+            ...(opcode === 2 ? { encoding: 'base64' } : {})
+        });
+    }
+
+    onSocketError(source, event) {
+        const connection = this.sockets.get(`${source.id}:${event.requestId}`);
+        if (connection) {
+            connection.error = event.errorMessage;
+        }
+    }
+
+    onEventSourceMessage(source, event) {
+        const connection = this.sockets.get(`${source.id}:${event.requestId}`);
+        if (connection) {
+            this.recordFrame(connection, 'received', { type: 'event', data: event.data, event: event.eventName, eventId: event.eventId || null });
+        }
+    }
+
+    onData(source, event) {
+        const connection = event.data && this.sockets.get(`${source.id}:${event.requestId}`);
+        if (connection && connection.kind === 'event-stream') {
+            this.parseEventStream(connection, Buffer.from(event.data, 'base64'));
+        }
+    }
+
+    // Splits streamed bytes into server-sent events; a partial event waits for the next chunk
+    parseEventStream(connection, bytes) {
+        const state = this.meta.get(connection);
+        state.buffer += state.decoder.write(bytes);
+        const blocks = state.buffer.split(/\r\n\r\n|\n\n|\r\r/);
+        state.buffer = blocks.pop();
+        for (const block of blocks) {
+            const data = [];
+            let name = 'message';
+            let eventId = null;
+            block.split(/\r\n|\n|\r/).forEach(line => {
+                // Lines without a field name are comments, e.g. a keep-alive ":"
+                const [, field, value = ''] = line.match(/^([^:]+)(?:: ?(.*))?$/) || [];
+                if (field === 'data') {
+                    data.push(value);
+                } else if (field === 'event') {
+                    name = value;
+                } else if (field === 'id') {
+                    eventId = value;
+                }
+            });
+            if (data.length) {
+                this.recordFrame(connection, 'received', { type: 'event', data: data.join('\n'), event: name, eventId });
+            }
+        }
+    }
+
+    recordFrame(connection, direction, { type, data, encoding, event, eventId }) {
+        const size = encoding ? Buffer.from(data, 'base64').length : Buffer.byteLength(data);
+        const frame = {
+            id: this.nextFrameId++,
+            connection: connection.id,
+            tab: connection.tab,
+            url: connection.url,
+            direction,
+            type,
+            at: new Date().toISOString(),
+            size,
+            ...(size > this.maxBodySize ? { truncated: true } : { data }),
+            ...(encoding ? { encoding } : {}),
+            ...(event !== undefined ? { event, eventId } : {})
+        };
+        connection[direction]++;
+        this.frames.push(frame);
+        if (this.frames.length > this.maxFrames) {
+            this.frames.splice(0, this.frames.length - this.maxFrames);
+        }
+        this.emit('frame', frame);
+    }
+
+    // HAR-style phases in ms; -1 for phases that didn't happen (e.g. a reused connection)
+    timingOf(entry, meta, finishedAt) {
+        const timing = meta.resourceTiming;
+        if (!timing) {
+            return null;
+        }
+        const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+        const total = (finishedAt - timing.requestTime) * 1000;
+        return {
+            blocked: Math.max(Math.round(((timing.requestTime - meta.started) * 1000 + (firstStart || 0)) * 1000) / 1000, 0),
+            dns: phase(timing.dnsStart, timing.dnsEnd),
+            connect: phase(timing.connectStart, timing.connectEnd),
+            ssl: phase(timing.sslStart, timing.sslEnd),
+            send: Math.max(phase(timing.sendStart, timing.sendEnd), 0),
+            wait: Math.max(phase(timing.sendEnd, timing.receiveHeadersEnd), 0),
+            receive: Math.max(Math.round((total - timing.receiveHeadersEnd) * 1000) / 1000, 0)
+        };
+    }
+
+    async fetchBody(entry) {
+        const { source, requestId } = this.meta.get(entry);
+        if (!source.client || entry.redirectURL) {
+            return;
+        }
+        try {
+            const { body, base64Encoded } = await source.client.send('Network.getResponseBody', { requestId });
+            const size = base64Encoded ? Buffer.from(body, 'base64').length : Buffer.byteLength(body);
+            entry.body = size > this.maxBodySize
+                ? { size, truncated: true }
+                : { size, text: body, ...(base64Encoded ? { encoding: 'base64' } : {}) };
+        } catch (error) {
+            entry.body = { error: error.message };
+        }
+    }
+
+    // One entry in full; the body is fetched now if it wasn't captured and Chrome still has it
+    async get(id) {
+        const entry = this.entries.find(candidate => candidate.id === Number(id));
+        if (!entry) {
+            throw new CommandError('REQUEST_NOT_FOUND', `No captured request #${id}`, { id });
+        }
+        const { source } = this.meta.get(entry);
+        if (entry.body === undefined && entry.state === 'finished' && Array.from(this.sources.values()).includes(source)) {
+            await this.fetchBody(entry);
+        }
+        return entry;
+    }
+
+    // Entries matching the filters, oldest first; tab is a tab id
+    select({ url, method, status, type, tab, failed, limit } = {}) {
+        const urlPattern = url && compilePattern(url);
+        const statusPattern = status && new RegExp(`^${String(status).replace(/x/gi, '\\d')}$`);
+        const matches = this.entries.filter(entry =>
+            (!urlPattern || urlPattern.test(entry.url)) &&
+            (!method || entry.method.toLowerCase() === method.toLowerCase()) &&
+            (!statusPattern || (entry.response && statusPattern.test(String(entry.response.status)))) &&
+            (!type || entry.type.toLowerCase() === type.toLowerCase()) &&
+            (tab === undefined || entry.tab === tab) &&
+            (!failed || entry.state === 'failed' || (entry.response && entry.response.status >= 400))
+        );
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    // Connections matching the filters, oldest first; tab is a tab id
+    selectConnections({ url, tab, kind } = {}) {
+        const urlPattern = url && compilePattern(url);
+        return this.connections.filter(connection =>
+            (!urlPattern || (connection.url !== null && urlPattern.test(connection.url))) &&
+            (tab === undefined || connection.tab === tab) &&
+            (!kind || connection.kind === kind)
+        );
+    }
+
+    // Frames matching the filters (see frameFilter), oldest first
+    selectFrames({ limit, ...filters } = {}) {
+        const matches = this.frames.filter(frameFilter(filters));
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    // The one-line view used by network list
+    static summarize(entry) {
+        return {
+            id: entry.id,
+            tab: entry.tab,
+            method: entry.method,
+            status: entry.response ? entry.response.status : null,
+            type: entry.type,
+            url: entry.url,
+            state: entry.state,
+            duration: entry.duration,
+            size: entry.size,
+            ...(entry.error ? { error: entry.error } : {})
+        };
+    }
+}
+
+// Frame predicate shared by ws frames and the CLI's ws tail; tab is a tab id and
+// since a frame id
+function frameFilter({ url, connection, tab, direction, type, match, since } = {}) {
+    const urlPattern = url && compilePattern(url);
+    const dataPattern = match && compilePattern(match);
+    return (frame) =>
+        (!urlPattern || (frame.url !== null && urlPattern.test(frame.url))) &&
+        (connection === undefined || frame.connection === connection) &&
+        (tab === undefined || frame.tab === tab) &&
+        (!direction || frame.direction === direction) &&
+        (!type || frame.type === type) &&
+        (!dataPattern || (frame.data !== undefined && !frame.encoding && dataPattern.test(frame.data))) &&
+        (since === undefined || frame.id > since);
+}
+
+// "12:00:01.250 #3 << event:delta {"text":"Hi"}"; binary and oversized data is only sized
+function formatFrame(frame) {
+    const label = frame.type === 'event' ? `event:${frame.event}` : frame.type;
+    const data = frame.data === undefined || frame.encoding
+        ? `(${frame.size} bytes${frame.truncated ? ', not kept' : ''})`
+        : frame.data.replace(/\n/g, '\\n');
+    return `${frame.at.slice(11, 23)} #${frame.connection} ${frame.direction === 'sent' ? '>>' : '<<'} ${label} ${data}`;
+}
+
+const harHeaders = (headers = {}) => Object.entries(headers)
+    // DevTools joins repeated headers (Set-Cookie) with newlines
+    .flatMap(([name, value]) => String(value).split('\n').map(line => ({ name, value: line })));
+
+const headerValue = (headers = {}, name) => {
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+};
+
+function harEntry(entry) {
+    const { request, response } = entry;
+    let queryString = [];
+    try {
+        queryString = Array.from(new URL(entry.url).searchParams, ([name, value]) => ({ name, value }));
+    } catch (error) {
+        // data: and other URLs without a query
+    }
+    const httpVersion = response && HTTP_VERSIONS[response.protocol] || (response && response.protocol) || '';
+    const body = entry.body || {};
+
+    return {
+        startedDateTime: entry.startedAt,
+        time: entry.duration || 0,
+        request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion,
+            cookies: [],
+            headers: harHeaders(request.headers),
+            queryString,
+            ...(request.postData !== null ? {
+                postData: { mimeType: headerValue(request.headers, 'content-type') || '', text: request.postData }
+            } : {}),
+            headersSize: -1,
+            bodySize: request.postData !== null ? Buffer.byteLength(request.postData) : 0
+        },
+        response: {
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText : '',
+            httpVersion,
+            cookies: [],
+            headers: harHeaders(response && response.headers),
+            content: {
+                size: body.size !== undefined ? body.size : (entry.size || 0),
+                mimeType: response && response.mimeType || 'x-unknown',
+                ...(body.text !== undefined ? { text: body.text } : {}),
+                ...(body.encoding ? { encoding: body.encoding } : {})
+            },
+            redirectURL: entry.redirectURL || '',
+            headersSize: -1,
+            bodySize: entry.size !== null ? entry.size : -1,
+            ...(entry.error ? { _error: entry.error } : {})
+        },
+        cache: {},
+        timings: entry.timing || { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: entry.duration || 0, receive: 0 },
+        ...(response && response.remoteAddress ? { serverIPAddress: response.remoteAddress.replace(/:\d+$/, '').replace(/^\[|\]$/g, '') } : {}),
+        _resourceType: entry.type.toLowerCase(),
+        _tab: entry.tab,
+        _source: entry.source
+    };
+}
+
+// Entries as a HAR 1.2 log (https://w3c.github.io/web-performance/specs/HAR/Overview.html)
+function toHar(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'glyde', version },
+            pages: [],
+            entries: entries.map(harEntry)
+        }
+    };
+}
+
+module.exports = { NetworkCapture, toHar, frameFilter, formatFrame };
@@ -0,0 +1,197 @@
+const path = require('path');
+const { validateScript } = require('./script-manifest');
+const chatEngine = require('./chat-engine');
+
+// Page events plugins can subscribe to. Listeners get (data, { page, tab });
+// data is puppeteer's own object (ConsoleMessage, HTTPRequest, ...) except for
+// load and domcontentloaded, which get { url }.
+const PAGE_EVENTS = [
+    'console',
+    'pageerror',
+    'dialog',
+    'request',
+    'response',
+    'requestfinished',
+    'requestfailed',
+    'load',
+    'domcontentloaded',
+    'framenavigated'
+];
+
+// Node-side plugins listed under "plugins" in scripts.manifest.json:
+//
+//   { "path": "plugins/example.js", "sessions": ["*"], "options": { ... } }
+//
+// A plugin module exports { name, version, scripts, setup(glyde) }. setup can
+// register commands, subscribe to page events and return a cleanup function;
+// scripts are companion page scripts with paths relative to the plugin file.
+class PluginManager {
+    constructor({ interface: browserInterface, tabs, logger, addScripts }) {
+        this.interface = browserInterface;
+        this.tabs = tabs;
+        this.logger = logger;
+        this.addScripts = addScripts;
+        this.plugins = [];
+        this.listeners = new Map(PAGE_EVENTS.map(event => [event, []]));
+    }
+
+    async load(manifest) {
+        const sessionName = process.env.SESSION_NAME || 'default';
+        const entries = (manifest && manifest.plugins || [])
+            .map(entry => (typeof entry === 'string' ? { path: entry } : entry))
+            .filter(entry => !entry.sessions || entry.sessions.includes('*') || entry.sessions.includes(sessionName));
+
+        for (const entry of entries) {
+            await this.loadPlugin(entry);
+        }
+        this.addScripts(this.plugins.flatMap(plugin => plugin.scripts));
+        return this.list();
+    }
+
+    async loadPlugin(entry) {
+        const file = path.resolve(__dirname, entry.path);
+        const plugin = {
+            name: path.basename(entry.path, '.js'),
+            version: null,
+            path: entry.path,
+            status: 'loading',
+            commands: [],
+            scripts: [],
+            chatAdapters: [],
+            cleanup: null
+        };
+        this.plugins.push(plugin);
+
+        try {
+            const exported = require(file);
+            const definition = typeof exported === 'function' ? { setup: exported } : exported;
+            if (typeof definition.setup !== 'function') {
+                throw new Error('Plugin must export a setup(glyde) function');
+            }
+            if (this.plugins.some(other => other !== plugin && other.name === (definition.name || plugin.name))) {
+                throw new Error(`A plugin named "${definition.name || plugin.name}" is already loaded`);
+            }
+            plugin.name = definition.name || plugin.name;
+            plugin.version = definition.version || null;
+            const errors = (definition.scripts || [])
+                .flatMap((script, index) => validateScript({ urlPatterns: ['*'], ...script }, `scripts[${index}]`));
+            if (errors.length) {
+                throw new Error(`Invalid companion scripts: ${errors.join('; ')}`);
+            }
+            plugin.scripts = (definition.scripts || []).map(script => ({
+                sessions: ['*'],
+                urlPatterns: ['*'],
+                ...script,
+                id: script.id || `${plugin.name}/${path.basename(script.path, '.js')}`,
+                path: path.relative(__dirname, path.resolve(path.dirname(file), script.path))
+            }));
+
+            const cleanup = await definition.setup(this.createApi(plugin, entry.options || {}));
+            plugin.cleanup = typeof cleanup === 'function' ? cleanup : null;
+            plugin.status = 'loaded';
+            this.logger.info(`Loaded plugin ${plugin.name}`, { path: entry.path, commands: plugin.commands });
+        } catch (error) {
+            plugin.status = 'failed';
+            plugin.error = error.message;
+            plugin.scripts = [];
+            // Undo whatever setup got to before failing
+            plugin.commands.forEach(name => {
+                delete this.interface.commands[name];
+                delete this.interface.commandSpecs[name];
+            });
+            plugin.commands = [];
+            plugin.chatAdapters.forEach(name => chatEngine.unregisterAdapter(name));
+            plugin.chatAdapters = [];
+            this.listeners.forEach((listeners, event) => {
+                this.listeners.set(event, listeners.filter(entry => entry.plugin !== plugin));
+            });
+            this.logger.error(`Failed to load plugin ${entry.path}:`, error);
+        }
+    }
+
+    // The object passed to a plugin's setup()
+    createApi(plugin, options) {
+        const browserInterface = this.interface;
+        return {
+            name: plugin.name,
+            options,
+            session: process.env.SESSION_NAME || 'default',
+            logger: this.logger.child({ plugin: plugin.name }),
+            tabs: this.tabs,
+
+            // Page of a tab id or name (default: the active tab)
+            page: (tab) => browserInterface.targetPage(tab),
+
+            // Same spec format as the built-in commands; handler(args, { page, stream })
+            registerCommand: (name, spec, handler) => {
+                if (browserInterface.commands[name]) {
+                    throw new Error(`Command "${name}" is already registered`);
+                }
+                browserInterface.registerCommand(name, spec, (args, context) => handler(args, {
+                    ...context,
+                    page: browserInterface.targetPage(args.tab)
+                }));
+                plugin.commands.push(name);
+            },
+
+            on: (event, listener) => {
+                if (!this.listeners.has(event)) {
+                    throw new Error(`Unknown page event "${event}" (expected ${PAGE_EVENTS.join(', ')})`);
+                }
+                this.listeners.get(event).push({ plugin, listener });
+            },
+
+            // A chat adapter for the chat command (see docs/chat.md)
+            registerChatAdapter: (adapter) => {
+                chatEngine.registerAdapter(adapter);
+                plugin.chatAdapters.push(adapter.name);
+            },
+
+            // Push an event to socket and HTTP clients
+            notify: (type, data = {}) => browserInterface.notify({ type, plugin: plugin.name, ...data })
+        };
+    }
+
+    // Forward a page's events to plugin listeners (called for every tab)
+    attachPage(page, tab) {
+        for (const [event, listeners] of this.listeners) {
+            if (!listeners.length) {
+                continue;
+            }
+            page.on(event, (data) => {
+                const payload = ['load', 'domcontentloaded'].includes(event) ? { url: page.url() } : data;
+                for (const { plugin, listener } of listeners) {
+                    // A failing plugin must not take the controller down
+                    Promise.resolve()
+                        .then(() => listener(payload, { page, tab }))
+                        .catch(error => this.logger.error(`Plugin ${plugin.name} failed handling ${event}:`, error));
+                }
+            });
+        }
+    }
+
+    list() {
+        return this.plugins.map(({ name, version, path: file, status, error, commands, scripts, chatAdapters: adapters }) => ({
+            name,
+            version,
+            path: file,
+            status,
+            ...(error ? { error } : {}),
+            commands,
+            scripts: scripts.map(script => script.id),
+            chatAdapters: adapters
+        }));
+    }
+
+    async close() {
+        for (const plugin of this.plugins.filter(p => p.cleanup)) {
+            try {
+                await plugin.cleanup();
+            } catch (error) {
+                this.logger.error(`Plugin ${plugin.name} cleanup failed:`, error);
+            }
+        }
+    }
+}
+
+module.exports = { PluginManager, PAGE_EVENTS };
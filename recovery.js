@@ -0,0 +1,175 @@
+const { EventEmitter } = require('events');
+const { CommandError } = require('./errors');
+
+const MAX_ATTEMPTS = 3;
+const RECOVERY_TIMEOUT = 60000;
+
+// Puppeteer errors for a page or browser that went away mid-command
+const GONE_PATTERN = /Target closed|Session closed|Connection closed|Page crashed|detached Frame|browser has disconnected/i;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Watches the browser and its tabs and brings them back when Chrome dies, a
+// page crashes or the last tab is closed. Emits 'recovery' events
+// ({ phase: started|completed|failed, reason, ... }) for clients.
+//
+// Hooks supplied by the controller:
+//   relaunch()        -> new browser session (reattach or launch)
+//   restoreState()    -> restore saved state into the current tabs
+//   preparePage(page) -> re-inject scripts into a page that wasn't navigated
+class RecoveryManager extends EventEmitter {
+    constructor({ tabs, logger, relaunch, restoreState, preparePage, isShuttingDown = () => false }) {
+        super();
+        this.tabs = tabs;
+        this.logger = logger;
+        this.relaunch = relaunch;
+        this.restoreState = restoreState;
+        this.preparePage = preparePage;
+        this.isShuttingDown = isShuttingDown;
+        this.recovering = null;
+        this.failure = null;
+
+        // Crashed pages take their tab down with them; bring it back in place
+        this.tabs.on('tab-added', (tab) => {
+            tab.page.on('error', (error) => {
+                this.logger.error(`Page in tab ${tab.id} crashed:`, error);
+                this.recover('page-crashed', () => this.recoverTab(tab), { tab: tab.id });
+            });
+        });
+
+        // Commands need a tab; open a new one when the last is closed (unless
+        // Chrome itself is going away, which the disconnect handler covers)
+        this.tabs.on('tab-removed', () => {
+            setTimeout(() => {
+                if (this.tabs.tabs.size === 0 && this.tabs.browser.isConnected() && !this.recovering && !this.isShuttingDown()) {
+                    this.recover('all-tabs-closed', () => this.recoverEmpty());
+                }
+            }, 500);
+        });
+    }
+
+    watch(session) {
+        this.session = session;
+        session.browser.on('disconnected', () => {
+            if (!this.isShuttingDown() && session === this.session) {
+                this.logger.error('Lost connection to Chrome');
+                this.recover('chrome-disconnected', () => this.recoverBrowser());
+            }
+        });
+    }
+
+    // Resolves when no recovery is running; rejects if the last one failed
+    async ready() {
+        if (this.recovering) {
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new CommandError('BROWSER_UNAVAILABLE',
+                    `Browser is still recovering after ${RECOVERY_TIMEOUT}ms`)), RECOVERY_TIMEOUT);
+            });
+            try {
+                await Promise.race([this.recovering, timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+        if (this.failure) {
+            throw new CommandError('BROWSER_UNAVAILABLE', `Browser could not be recovered: ${this.failure.message}`);
+        }
+    }
+
+    // Turn "Target closed" and friends into an error that says what happened
+    explain(error, command) {
+        if (error instanceof CommandError || !GONE_PATTERN.test(error.message)) {
+            return error;
+        }
+        const recovering = Boolean(this.recovering);
+        return new CommandError('BROWSER_CRASHED',
+            `The page or browser went away while running ${command}${recovering ? '; recovering, retry shortly' : ''}`,
+            { command, cause: error.message, recovering });
+    }
+
+    // Never rejects: a failure is logged, emitted and kept in this.failure,
+    // which ready() reports to the commands that follow
+    recover(reason, fn, details = {}) {
+        if (this.recovering) {
+            // A browser relaunch replaces every tab, so it covers smaller recoveries
+            return this.recovering;
+        }
+        this.failure = null;
+        this.recovering = this.attempt(reason, fn, details).catch(() => null).finally(() => {
+            this.recovering = null;
+        });
+        return this.recovering;
+    }
+
+    async attempt(reason, fn, details) {
+        const started = Date.now();
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            this.emit('recovery', { phase: 'started', reason, attempt, ...details });
+            try {
+                const result = await fn();
+                this.logger.info(`Recovered from ${reason}`, result);
+                this.emit('recovery', { phase: 'completed', reason, attempt, duration: Date.now() - started, ...details, ...result });
+                return result;
+            } catch (error) {
+                this.logger.error(`Recovery from ${reason} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error);
+                if (attempt === MAX_ATTEMPTS) {
+                    this.failure = error;
+                    this.emit('recovery', { phase: 'failed', reason, attempt, error: error.message, ...details });
+                    throw error;
+                }
+                await sleep(1000 * attempt);
+            }
+        }
+    }
+
+    // Relaunch (or reattach to) Chrome, restore state and reopen the active URL
+    async recoverBrowser() {
+        const lost = await this.tabs.list().catch(() => []);
+        const active = lost.find(tab => tab.active);
+
+        const session = await this.relaunch();
+        this.watch(session);
+        this.tabs.reset(session.browser);
+
+        const existing = session.mode === 'connect' || session.reattached ? await session.browser.pages() : [];
+        for (const page of existing) {
+            await this.tabs.add(page);
+        }
+        const tab = existing.length ? this.tabs.active : await this.tabs.add(await session.browser.newPage());
+
+        await this.restoreState();
+        const url = await this.reopen(tab.page, active && active.url);
+        return { relaunched: !session.reattached, lostTabs: lost.length, tab: tab.id, url };
+    }
+
+    // Swap a crashed page for a fresh one under the same tab id
+    async recoverTab(tab) {
+        const url = tab.page.url();
+        // Untracked until it's attached, so it doesn't show up as a new tab
+        const page = await this.tabs.openHelper();
+        await this.tabs.replacePage(tab, page);
+        await this.restoreState();
+        return { tab: tab.id, url: await this.reopen(page, url) };
+    }
+
+    async recoverEmpty() {
+        const tab = await this.tabs.open();
+        await this.restoreState();
+        await this.preparePage(tab.page);
+        return { tab: tab.id, url: tab.page.url() };
+    }
+
+    // Navigate back to where the page was; pages left where they are get their
+    // scripts injected directly (navigation does that through the load handler)
+    async reopen(page, url) {
+        if (url && /^https?:/.test(url) && page.url() !== url) {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        } else {
+            await this.preparePage(page);
+        }
+        return page.url();
+    }
+}
+
+module.exports = { RecoveryManager };
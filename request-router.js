@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CommandError } = require('./errors');
+const { compileUrlPattern } = require('./url-matcher');
+
+// Reasons puppeteer accepts for request.abort()
+const ABORT_REASONS = [
+    'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+    'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+    'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+const RULE_FIELDS = ['id', 'url', 'method', 'resourceType', 'fulfill', 'abort', 'delay', 'setHeaders', 'removeHeaders', 'setBody', 'times', 'enabled'];
+const FULFILL_FIELDS = ['status', 'headers', 'contentType', 'body', 'file'];
+
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'application/javascript',
+    '.mjs': 'application/javascript',
+    '.css': 'text/css',
+    '.txt': 'text/plain',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+const isStringMap = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string' || item === null);
+
+// Every problem with one rule, as "rules[2].delay: ..." strings
+function validateRule(rule, where = 'rule') {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return [`${where}: must be an object`];
+    }
+    const errors = [];
+    Object.keys(rule).filter(key => !RULE_FIELDS.includes(key))
+        .forEach(key => errors.push(`${where}.${key}: unknown field (expected ${RULE_FIELDS.join(', ')})`));
+    try {
+        compileUrlPattern(rule.url);
+    } catch (error) {
+        errors.push(`${where}.url: ${error.message}`);
+    }
+    if (rule.method !== undefined && (typeof rule.method !== 'string' || !rule.method)) {
+        errors.push(`${where}.method: must be an HTTP method`);
+    }
+    if (rule.resourceType !== undefined && !(Array.isArray(rule.resourceType) && rule.resourceType.every(type => typeof type === 'string'))) {
+        errors.push(`${where}.resourceType: must be a list of resource types`);
+    }
+    if (!['fulfill', 'abort', 'delay', 'setHeaders', 'removeHeaders', 'setBody'].some(key => rule[key] !== undefined)) {
+        errors.push(`${where}: needs fulfill, abort, delay or a header or body rewrite`);
+    }
+    if (rule.fulfill !== undefined && rule.abort !== undefined) {
+        errors.push(`${where}: fulfill and abort can't be combined`);
+    }
+    if (rule.fulfill !== undefined) {
+        const fulfill = rule.fulfill;
+        if (!fulfill || typeof fulfill !== 'object' || Array.isArray(fulfill)) {
+            errors.push(`${where}.fulfill: must be an object`);
+        } else {
+            Object.keys(fulfill).filter(key => !FULFILL_FIELDS.includes(key))
+                .forEach(key => errors.push(`${where}.fulfill.${key}: unknown field (expected ${FULFILL_FIELDS.join(', ')})`));
+            if (fulfill.status !== undefined && !(Number.isInteger(fulfill.status) && fulfill.status >= 100 && fulfill.status <= 599)) {
+                errors.push(`${where}.fulfill.status: must be an HTTP status code`);
+            }
+            if (fulfill.body !== undefined && fulfill.file !== undefined) {
+                errors.push(`${where}.fulfill: body and file can't be combined`);
+            }
+            ['body', 'file', 'contentType'].filter(key => fulfill[key] !== undefined && typeof fulfill[key] !== 'string')
+                .forEach(key => errors.push(`${where}.fulfill.${key}: must be a string`));
+            if (fulfill.headers !== undefined && !isStringMap(fulfill.headers)) {
+                errors.push(`${where}.fulfill.headers: must be an object of header values`);
+            }
+        }
+    }
+    if (rule.abort !== undefined && !ABORT_REASONS.includes(rule.abort)) {
+        errors.push(`${where}.abort: must be one of ${ABORT_REASONS.join(', ')}`);
+    }
+    ['delay', 'times'].filter(key => rule[key] !== undefined && !(Number.isFinite(rule[key]) && rule[key] >= 0))
+        .forEach(key => errors.push(`${where}.${key}: must be a non-negative number`));
+    if (rule.setHeaders !== undefined && !isStringMap(rule.setHeaders)) {
+        errors.push(`${where}.setHeaders: must be an object of header values`);
+    }
+    if (rule.removeHeaders !== undefined && !(Array.isArray(rule.removeHeaders) && rule.removeHeaders.every(name => typeof name === 'string'))) {
+        errors.push(`${where}.removeHeaders: must be a list of header names`);
+    }
+    if (rule.setBody !== undefined && typeof rule.setBody !== 'string') {
+        errors.push(`${where}.setBody: must be a string`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        errors.push(`${where}.enabled: must be true or false`);
+    }
+    return errors;
+}
+
+// A rule file holds { "rules": [...] } or just the list
+function rulesIn(content) {
+    return Array.isArray(content) ? content : (content && content.rules);
+}
+
+// Stubs, blocks, delays and rewrites requests of every tab with puppeteer's
+// request interception. Rules live in data/sessions/<name>/routes.json and the
+// first enabled rule matching a request decides what happens to it:
+//
+//   { "url": "*/api/users*", "method": "GET", "fulfill": { "file": "mocks/users.json" } }
+//   { "url": "doubleclick.net", "abort": "blockedbyclient" }
+//   { "url": "*/api/*", "delay": 2000, "setHeaders": { "X-Debug": "1" } }
+//
+// Interception is only switched on while there are enabled rules, since it
+// bypasses the browser cache.
+class RequestRouter {
+    constructor({ logger, file }) {
+        this.logger = logger;
+        this.file = file;
+        this.rules = [];
+        this.hits = new Map();
+        this.pages = new Set();
+        this.intercepting = false;
+    }
+
+    // Rules from the session's routes file; invalid ones are logged and skipped
+    async load() {
+        if (!await fs.pathExists(this.file)) {
+            return this.rules;
+        }
+        try {
+            const rules = rulesIn(await fs.readJson(this.file)) || [];
+            this.rules = rules.filter((rule, index) => {
+                const errors = validateRule(rule, `rules[${index}]`);
+                errors.forEach(error => this.logger.error(`Skipping route in ${path.basename(this.file)}: ${error}`));
+                return !errors.length;
+            });
+            this.renumber();
+        } catch (error) {
+            this.logger.error(`Cannot read ${this.file}: ${error.message}`);
+        }
+        await this.sync();
+        return this.rules;
+    }
+
+    async save() {
+        await fs.outputJson(this.file, { rules: this.rules }, { spaces: 2 });
+    }
+
+    renumber() {
+        this.rules = this.rules.map(({ id, ...rule }, index) => ({ id: index + 1, ...rule }));
+        this.hits.clear();
+    }
+
+    // Switch interception on or off in every page to match the rules
+    async sync() {
+        const wanted = this.rules.some(rule => rule.enabled !== false);
+        if (wanted === this.intercepting) {
+            return;
+        }
+        this.intercepting = wanted;
+        await Promise.all(Array.from(this.pages, page => page.setRequestInterception(wanted)
+            .catch(error => this.logger.warn(`Could not ${wanted ? 'enable' : 'disable'} request interception: ${error.message}`))));
+    }
+
+    // Called for every tab's page
+    async attachPage(page) {
+        this.pages.add(page);
+        page.once('close', () => this.pages.delete(page));
+        page.on('request', (request) => {
+            this.route(request).catch(error => this.logger.error(`Route failed for ${request.url()}:`, error));
+        });
+        if (this.intercepting) {
+            await page.setRequestInterception(true);
+        }
+    }
+
+    match(request) {
+        const method = request.method().toUpperCase();
+        const type = request.resourceType();
+        return this.rules.find(rule =>
+            rule.enabled !== false &&
+            !(rule.times && (this.hits.get(rule.id) || 0) >= rule.times) &&
+            (!rule.method || rule.method.toUpperCase() === method) &&
+            (!rule.resourceType || rule.resourceType.map(t => t.toLowerCase()).includes(type)) &&
+            compileUrlPattern(rule.url).test(request.url())
+        ) || null;
+    }
+
+    async route(request) {
+        // Interception may have been switched off since the request was sent
+        if (!this.intercepting || request.isInterceptResolutionHandled()) {
+            return;
+        }
+        const rule = this.match(request);
+        if (!rule) {
+            await request.continue();
+            return;
+        }
+        this.hits.set(rule.id, (this.hits.get(rule.id) || 0) + 1);
+        this.logger.debug(`Route #${rule.id} matched ${request.method()} ${request.url()}`);
+
+        if (rule.delay) {
+            await new Promise(resolve => setTimeout(resolve, rule.delay));
+        }
+        if (rule.abort) {
+            await request.abort(rule.abort);
+        } else if (rule.fulfill) {
+            await request.respond(await this.responseFor(rule));
+        } else {
+            await request.continue(this.overridesFor(request, rule));
+        }
+    }
+
+    async responseFor(rule) {
+        const { status = 200, headers = {}, contentType, body, file } = rule.fulfill;
+        const response = { status, headers: { ...headers } };
+        if (file) {
+            // Read on every request, so editing a stand-in file takes effect immediately
+            const resolved = path.resolve(path.dirname(this.file), file);
+            response.body = await fs.readFile(resolved).catch(() => {
+                this.logger.error(`Route #${rule.id}: cannot read ${resolved}`);
+                return Buffer.from('');
+            });
+            response.contentType = contentType || CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        } else {
+            response.body = body || '';
+            if (contentType) {
+                response.contentType = contentType;
+            }
+        }
+        return response;
+    }
+
+    overridesFor(request, rule) {
+        const overrides = {};
+        if (rule.setHeaders || rule.removeHeaders) {
+            const removed = [
+                ...(rule.removeHeaders || []),
+                ...Object.keys(rule.setHeaders || {}).filter(name => rule.setHeaders[name] === null)
+            ].map(name => name.toLowerCase());
+            const headers = Object.fromEntries(Object.entries(request.headers())
+                .filter(([name]) => !removed.includes(name.toLowerCase())));
+            Object.entries(rule.setHeaders || {}).filter(([, value]) => value !== null).forEach(([name, value]) => {
+                Object.keys(headers).filter(existing => existing.toLowerCase() === name.toLowerCase())
+                    .forEach(existing => delete headers[existing]);
+                headers[name] = value;
+            });
+            overrides.headers = headers;
+        }
+        if (rule.setBody !== undefined) {
+            overrides.postData = rule.setBody;
+        }
+        return overrides;
+    }
+
+    async add(rule) {
+        const errors = validateRule(rule);
+        if (errors.length) {
+            throw new CommandError('INVALID_ARGS', `Invalid route: ${errors.join('; ')}`, { errors });
+        }
+        const added = { id: this.rules.reduce((max, other) => Math.max(max, other.id), 0) + 1, ...rule };
+        this.rules.push(added);
+        await this.save();
+        await this.sync();
+        return added;
+    }
+
+    find(id) {
+        const rule = this.rules.find(candidate => candidate.id === Number(id));
+        if (!rule) {
+            throw new CommandError('ROUTE_NOT_FOUND', `No route #${id}`, { id });
+        }
+        return rule;
+    }
+
+    async remove(id) {
+        const rule = this.find(id);
+        this.rules = this.rules.filter(other => other !== rule);
+        this.hits.delete(rule.id);
+        await this.save();
+        await this.sync();
+        return rule;
+    }
+
+    async setEnabled(id, enabled) {
+        const rule = this.find(id);
+        if (enabled) {
+            delete rule.enabled;
+        } else {
+            rule.enabled = false;
+        }
+        this.hits.delete(rule.id);
+        await this.save();
+        await this.sync();
+        return rule;
+    }
+
+    async clear() {
+        const removed = this.rules.length;
+        this.rules = [];
+        this.hits.clear();
+        await this.save();
+        await this.sync();
+        return removed;
+    }
+
+    // Replace (or extend) the rules with a rule set from another file; rules are renumbered
+    async import(file, { append = false } = {}) {
+        let content;
+        try {
+            content = await fs.readJson(file);
+        } catch (error) {
+            throw new CommandError(error.code === 'ENOENT' ? 'FILE_NOT_FOUND' : 'INVALID_ROUTES', `Cannot read ${file}: ${error.message}`, { file });
+        }
+        const rules = rulesIn(content);
+        if (!Array.isArray(rules)) {
+            throw new CommandError('INVALID_ROUTES', `${file} must contain a list of rules or { "rules": [...] }`, { file });
+        }
+        const errors = rules.flatMap((rule, index) => validateRule(rule, `rules[${index}]`));
+        if (errors.length) {
+            throw new CommandError('INVALID_ROUTES', `Invalid routes in ${file}:\n  ${errors.join('\n  ')}`, { file, errors });
+        }
+        // Stand-in files are relative to the rule set, but get served relative to routes.json
+        const rebased = rules.map(rule => (rule.fulfill && rule.fulfill.file
+            ? { ...rule, fulfill: { ...rule.fulfill, file: path.resolve(path.dirname(file), rule.fulfill.file) } }
+            : rule));
+        this.rules = append ? [...this.rules, ...rebased] : rebased;
+        this.renumber();
+        await this.save();
+        await this.sync();
+        return this.rules;
+    }
+
+    async export(file) {
+        await fs.outputJson(file, { rules: this.rules.map(({ id, ...rule }) => rule) }, { spaces: 2 });
+        return this.rules.length;
+    }
+
+    list() {
+        return this.rules.map(rule => ({ ...rule, hits: this.hits.get(rule.id) || 0 }));
+    }
+}
+
+module.exports = { RequestRouter, validateRule, ABORT_REASONS };
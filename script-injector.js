@@ -1,51 +1,407 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { compileUrlPattern, findMatch } = require('./url-matcher');
+const { CommandError } = require('./errors');
+const { MANIFEST_PATH, RUN_AT, validateManifest } = require('./script-manifest');
 
-async function injectPageScripts(page, logger) {
+const SCRIPTS_DIR = path.join(__dirname, 'scripts');
+const DEFAULT_RUN_AT = 'load';
+
+// Environments are tried in order; the first whose patterns match the URL wins.
+// GLYDE_ENV forces one.
+const DEFAULT_ENVIRONMENTS = {
+    dev: ['localhost', '127.0.0.1', '[::1]'],
+    prod: ['*']
+};
+
+// Companion scripts of Node-side plugins (see plugin-manager.js)
+let pluginScripts = [];
+
+function addScripts(scripts) {
+    pluginScripts = [...pluginScripts, ...scripts];
+}
+
+// The manifest with invalid script entries left out (and logged)
+async function loadManifest(logger) {
+    let manifest;
     try {
-        const currentUrl = await page.url();
-        logger.info('Checking URL for script injection:', currentUrl);
+        manifest = await fs.readJson(MANIFEST_PATH);
+        logger.debug('Loaded scripts manifest:', manifest);
+    } catch (error) {
+        logger.error('Failed to load scripts manifest:', error);
+        return null;
+    }
+    const errors = validateManifest(manifest);
+    if (!errors.length) {
+        return manifest;
+    }
+    logger.error(`Invalid scripts manifest:\n  ${errors.join('\n  ')}`);
+    const badScripts = new Set(errors.map(error => error.match(/^scripts\[(\d+)\]/)).filter(Boolean).map(match => Number(match[1])));
+    if (errors.some(error => !/^(scripts|plugins)\[\d+\]/.test(error))) {
+        return null; // Not just a bad entry; the file as a whole is unusable
+    }
+    return { ...manifest, scripts: manifest.scripts.filter((script, index) => !badScripts.has(index)) };
+}
+
+const normalizeScript = (script) => ({
+    ...script,
+    id: script.id || path.basename(script.path, '.js'),
+    version: script.version || null,
+    sessions: script.sessions || ['*'],
+    dependsOn: script.dependsOn || [],
+    runAt: script.runAt || DEFAULT_RUN_AT,
+    allFrames: Boolean(script.allFrames),
+    enabled: script.enabled !== false
+});
+
+const inSession = (script, sessionName) => script.sessions.includes('*') || script.sessions.includes(sessionName);
 
-        // Get session name from environment
-        const sessionName = process.env.SESSION_NAME || 'default';
-        const manifestPath = path.join(__dirname, 'scripts.manifest.json');
+// Manifest scripts followed by plugin scripts
+const allScripts = (manifest) => [...(manifest.scripts || []), ...pluginScripts].map(normalizeScript);
+
+// Enabled scripts for a session, dependencies first
+function sessionScripts(manifest, logger, sessionName = process.env.SESSION_NAME || 'default') {
+    const scripts = new Map();
+    for (const script of allScripts(manifest)) {
+        if (!script.enabled || !inSession(script, sessionName)) {
+            continue;
+        }
+        if (scripts.has(script.id)) {
+            logger.error(`Script ${script.path} reuses id "${script.id}" (already used by ${scripts.get(script.id).path})`);
+        } else {
+            scripts.set(script.id, script);
+        }
+    }
 
-        // Load root manifest
-        let manifest;
+    // Depth-first topological sort; scripts with unknown, later-running or
+    // circular dependencies are dropped
+    const ordered = [];
+    const state = new Map();
+    const visit = (script, chain) => {
+        if (state.get(script.id) === 'done' || state.get(script.id) === 'failed') {
+            return state.get(script.id) === 'done';
+        }
+        if (state.get(script.id) === 'visiting') {
+            logger.error(`Script ${script.path} has circular dependencies: ${[...chain, script.id].join(' -> ')}`);
+            return false;
+        }
+        state.set(script.id, 'visiting');
+        const ok = script.dependsOn.every(id => {
+            const dependency = scripts.get(id);
+            if (!dependency) {
+                logger.error(`Script ${script.path} depends on unknown script "${id}"`);
+                return false;
+            }
+            if (RUN_AT.indexOf(dependency.runAt) > RUN_AT.indexOf(script.runAt)) {
+                logger.error(`Script ${script.path} (${script.runAt}) depends on "${id}", which runs later (${dependency.runAt})`);
+                return false;
+            }
+            return visit(dependency, [...chain, script.id]);
+        });
+        state.set(script.id, ok ? 'done' : 'failed');
+        if (ok) {
+            ordered.push(script);
+        }
+        return ok;
+    };
+    scripts.forEach(script => visit(script, []));
+    return ordered;
+}
+
+// Manifest plus the session's scripts with their source. A script's hash
+// covers its dependencies, so reloading a dependency reloads its dependents.
+async function loadScripts(logger) {
+    const manifest = await loadManifest(logger);
+    if (!manifest) {
+        return null;
+    }
+    const hashes = new Map();
+    const scripts = [];
+    for (const script of sessionScripts(manifest, logger)) {
         try {
-            manifest = await fs.readJson(manifestPath);
-            logger.debug('Loaded scripts manifest:', manifest);
+            const source = await fs.readFile(path.resolve(__dirname, script.path), 'utf8');
+            const hash = crypto.createHash('sha1')
+                .update(source)
+                .update(script.dependsOn.map(id => hashes.get(id) || '').join(','))
+                .digest('hex')
+                .slice(0, 12);
+            hashes.set(script.id, hash);
+            scripts.push({ ...script, source, hash });
         } catch (error) {
-            logger.error('Failed to load scripts manifest:', error);
-            return;
+            logger.error(`Failed to read script ${script.path}:`, error);
         }
+    }
+    return { manifest, scripts };
+}
+
+function resolveEnvironment(manifest, url) {
+    if (process.env.GLYDE_ENV) {
+        return process.env.GLYDE_ENV;
+    }
+    const environments = Object.entries(manifest.environments || DEFAULT_ENVIRONMENTS);
+    const match = environments.find(([, patterns]) => findMatch(patterns, url));
+    return match ? match[0] : null;
+}
+
+// urlPatterns and exclude are either one list or a list per environment
+const patternsFor = (patterns, env) => (Array.isArray(patterns) ? patterns : (patterns || {})[env] || []);
 
-        const isDev = currentUrl.includes('localhost');
-        const env = isDev ? 'dev' : 'prod';
+// The include pattern that selects this script for the URL, or null
+function matchScript(script, env, url) {
+    const pattern = findMatch(patternsFor(script.urlPatterns, env), url);
+    if (!pattern) {
+        return null;
+    }
+    const excluded = findMatch(patternsFor(script.exclude, env), url);
+    return excluded ? null : pattern;
+}
+
+// Why each script would or wouldn't be injected into a URL, without injecting
+// anything ("scripts list" and "scripts test")
+async function explainScripts(url, logger, { session = process.env.SESSION_NAME || 'default' } = {}) {
+    const manifest = await loadManifest(logger);
+    if (!manifest) {
+        throw new CommandError('INVALID_MANIFEST', `Cannot use ${path.basename(MANIFEST_PATH)}, see the log for details`);
+    }
+    const env = resolveEnvironment(manifest, url);
+    const runnable = new Set(sessionScripts(manifest, { error: () => {} }, session).map(script => script.id));
+    const plugin = new Set(pluginScripts.map(script => script.path));
+
+    const scripts = allScripts(manifest).map(script => {
+        const report = {
+            id: script.id,
+            path: script.path,
+            source: plugin.has(script.path) ? 'plugin' : 'manifest',
+            runAt: script.runAt,
+            enabled: script.enabled,
+            inject: false
+        };
+        if (!script.enabled) {
+            return { ...report, reason: 'disabled' };
+        }
+        if (!inSession(script, session)) {
+            return { ...report, reason: `not enabled for session "${session}"` };
+        }
+        if (!runnable.has(script.id)) {
+            return { ...report, reason: 'dependency problem (see the log)' };
+        }
+        if (!env) {
+            return { ...report, reason: 'URL is in no environment' };
+        }
+        const patterns = patternsFor(script.urlPatterns, env);
+        if (!patterns.length) {
+            return { ...report, reason: `no urlPatterns for environment "${env}"` };
+        }
+        const pattern = findMatch(patterns, url);
+        if (!pattern) {
+            return { ...report, reason: 'no urlPattern matches' };
+        }
+        const excluded = findMatch(patternsFor(script.exclude, env), url);
+        if (excluded) {
+            return { ...report, pattern, reason: `excluded by ${excluded}` };
+        }
+        return { ...report, pattern, inject: true, reason: `matches ${pattern}` };
+    });
+    return { url, session, env, scripts };
+}
 
-        // Filter scripts that apply to this session
-        const applicableScripts = manifest.scripts.filter(script => 
-            script.sessions.includes('*') || script.sessions.includes(sessionName)
-        );
+// document-start scripts are registered before the URL is known, so the
+// environment and URL checks run in the page against precompiled regexes
+function documentStartRules(manifest, script) {
+    const toRegexes = (patterns) => patterns.map(pattern => {
+        const regex = compileUrlPattern(pattern);
+        return [regex.source, regex.flags];
+    });
+    const environments = Object.entries(manifest.environments || DEFAULT_ENVIRONMENTS)
+        .map(([name, patterns]) => [name, toRegexes(patterns)]);
+    const envNames = process.env.GLYDE_ENV ? [process.env.GLYDE_ENV] : environments.map(([name]) => name);
+    return {
+        allFrames: script.allFrames,
+        env: process.env.GLYDE_ENV || null,
+        environments,
+        include: Object.fromEntries(envNames.map(name => [name, toRegexes(patternsFor(script.urlPatterns, name))])),
+        exclude: Object.fromEntries(envNames.map(name => [name, toRegexes(patternsFor(script.exclude, name))]))
+    };
+}
 
-        // Inject each applicable script
-        for (const scriptConfig of applicableScripts) {
-            const patterns = scriptConfig.urlPatterns[env] || [];
-            const shouldInject = patterns.includes('*') || patterns.some(pattern => currentUrl.includes(pattern));
-            
-            if (shouldInject) {
-                const pattern = patterns.includes('*') ? '*' : patterns.find(p => currentUrl.includes(p));
-                logger.info(`Found matching pattern: ${pattern} for script: ${scriptConfig.path}`);
+// Runs in the page before any of its own scripts
+function shouldRunHere(rules) {
+    if (!rules.allFrames && window !== window.top) {
+        return false;
+    }
+    const url = location.href;
+    const test = (regexes) => regexes.some(([source, flags]) => new RegExp(source, flags).test(url));
+    const found = rules.environments.find(([, regexes]) => test(regexes));
+    const env = rules.env || (found && found[0]);
+    return Boolean(env && test(rules.include[env] || []) && !test(rules.exclude[env] || []));
+}
 
-                const scriptPath = path.join(__dirname, scriptConfig.path);
+// Runs in the page: window.__glydeScripts records what was injected, so a
+// script isn't run twice and the page (and other scripts) can query it:
+//   __glydeScripts.list()         every script with id, version, status, injectedAt
+//   __glydeScripts.get(id)        one entry, or null
+//   __glydeScripts.has(id)        true once the script has run without throwing
+//   __glydeScripts.onUnload(fn)   called from a script: cleanup before it's hot reloaded
+function installRegistry() {
+    if (window.__glydeScripts) {
+        return window.__glydeScripts;
+    }
+    const entries = {};
+    const unloaders = {};
+    const registry = {
+        current: null,
+        list: () => Object.values(entries).map(entry => ({ ...entry })),
+        get: (id) => (entries[id] ? { ...entries[id] } : null),
+        has: (id) => Boolean(entries[id] && entries[id].status === 'loaded'),
+        onUnload: (fn) => {
+            if (registry.current) {
+                (unloaders[registry.current] = unloaders[registry.current] || []).push(fn);
+            }
+        },
+        // Used by the injector around each script
+        begin: (meta) => {
+            const previous = entries[meta.id];
+            if (previous && previous.hash === meta.hash && previous.status !== 'failed' && !meta.force) {
+                return { status: 'skipped' };
+            }
+            const missing = meta.dependsOn.filter(id => !registry.has(id));
+            if (missing.length) {
+                entries[meta.id] = { ...meta, status: 'waiting', missing };
+                return { status: 'waiting', missing };
+            }
+            for (const fn of unloaders[meta.id] || []) {
                 try {
-                    const scriptContent = await fs.readFile(scriptPath, 'utf8');
-                    await page.evaluate(scriptContent);
-                    logger.info(`Successfully injected script: ${scriptConfig.path}`);
+                    fn();
                 } catch (error) {
-                    logger.error(`Failed to inject script ${scriptConfig.path}:`, error);
+                    console.error(`[glyde] unload handler of ${meta.id} failed:`, error);
                 }
             }
+            delete unloaders[meta.id];
+            const reloads = previous && previous.status === 'loaded' ? (previous.reloads || 0) + 1 : 0;
+            entries[meta.id] = { ...meta, status: 'loading', injectedAt: Date.now(), reloads };
+            registry.current = meta.id;
+            return { status: reloads ? 'reloading' : 'injecting' };
+        },
+        end: (id, error) => {
+            registry.current = null;
+            entries[id].status = error ? 'failed' : 'loaded';
+            if (error) {
+                entries[id].error = String(error && error.message || error);
+            }
+        }
+    };
+    Object.defineProperty(window, '__glydeScripts', { value: registry, configurable: true });
+    return registry;
+}
+
+// A registry check for a script that marks it as loading; evaluates to
+// { status: injecting|reloading|skipped|waiting, missing? }
+function beginScript(script, { rules = null, force = false } = {}) {
+    const meta = {
+        force,
+        id: script.id,
+        version: script.version,
+        hash: script.hash,
+        path: script.path,
+        runAt: script.runAt,
+        dependsOn: script.dependsOn
+    };
+    const guard = rules ? `if (!(${shouldRunHere.toString()})(${JSON.stringify(rules)})) { return { status: 'skipped' }; }\n` : '';
+    return `(() => {
+${guard}const registry = (${installRegistry.toString()})();
+return registry.begin(${JSON.stringify(meta)});
+})()`;
+}
+
+const started = (result) => result.status === 'injecting' || result.status === 'reloading';
+
+// Scripts run as a block of a global script rather than through eval, which a
+// page's CSP can block. Their top-level functions and vars become page globals;
+// let, const and class stay their own, so a script can run again on reload.
+const asBlock = (source) => `{\n${source}\n}`;
+
+// Run a script in a frame now, between the registry's begin and end
+async function runScript(frame, script, options) {
+    const result = await frame.evaluate(beginScript(script, options));
+    if (!started(result)) {
+        return result;
+    }
+    try {
+        // The script's last value isn't wanted, and may be a promise or not serializable
+        await frame.evaluate(`${asBlock(script.source)}\nundefined`);
+    } catch (error) {
+        await frame.evaluate((id, message) => window.__glydeScripts.end(id, message), script.id, error.message).catch(() => {});
+        throw error;
+    }
+    await frame.evaluate(id => window.__glydeScripts.end(id), script.id);
+    return result;
+}
+
+// A document-start script for evaluateOnNewDocument, which can't be split into
+// steps: the registry check and the script's block in one
+function documentStartScript(script, rules) {
+    const id = JSON.stringify(script.id);
+    return `if ((${started.toString()})(${beginScript(script, { rules })})) {
+try ${asBlock(script.source)} catch (error) {
+window.__glydeScripts.end(${id}, error);
+throw error;
+}
+window.__glydeScripts.end(${id});
+}`;
+}
+
+async function injectInto(frame, script, logger) {
+    try {
+        const result = await runScript(frame, script);
+        if (result.status === 'skipped') {
+            logger.debug(`Script already injected: ${script.path}`);
+        } else if (result.status === 'waiting') {
+            logger.warn(`Skipped script ${script.path}: missing dependencies ${result.missing.join(', ')}`);
+        } else {
+            logger.info(`Successfully ${result.status === 'reloading' ? 'reloaded' : 'injected'} script: ${script.path}`);
+        }
+    } catch (error) {
+        logger.error(`Failed to inject script ${script.path}:`, error);
+    }
+}
+
+// Inject the scripts that match a frame's URL. `runAt` limits which scripts
+// (default: all of them, for a page that was already loaded when we got it).
+async function injectFrameScripts(frame, logger, { runAt = RUN_AT, loaded = null } = {}) {
+    loaded = loaded || await loadScripts(logger);
+    if (!loaded) {
+        return;
+    }
+    const currentUrl = frame.url();
+    const isMainFrame = !frame.parentFrame();
+    logger.info('Checking URL for script injection:', currentUrl);
+
+    const env = resolveEnvironment(loaded.manifest, currentUrl);
+    if (!env) {
+        return;
+    }
+    const scripts = loaded.scripts
+        .filter(script => runAt.includes(script.runAt) && (isMainFrame || script.allFrames));
+
+    for (const script of scripts) {
+        const pattern = matchScript(script, env, currentUrl);
+        if (pattern) {
+            logger.info(`Found matching pattern: ${pattern} for script: ${script.path} (${env}, ${script.runAt})`);
+            await injectInto(frame, script, logger);
+        }
+    }
+}
+
+async function injectPageScripts(page, logger, options = {}) {
+    try {
+        const loaded = options.loaded || await loadScripts(logger);
+        await injectFrameScripts(page.mainFrame(), logger, { ...options, loaded });
+        if (!options.runAt) {
+            // A page we didn't see load: its frames need their allFrames scripts too
+            for (const frame of page.mainFrame().childFrames()) {
+                await injectFrameScripts(frame, logger, { ...options, loaded });
+            }
         }
     } catch (error) {
         logger.error('Script injection error:', error);
@@ -53,4 +409,149 @@ async function injectPageScripts(page, logger) {
     }
 }
 
-module.exports = { injectPageScripts };
+// Run a script file in a page now, whatever the manifest says ("scripts run")
+async function runScriptFile(page, file, logger) {
+    let source;
+    try {
+        source = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new CommandError('FILE_NOT_FOUND', `Cannot read script ${file}: ${error.message}`, { file });
+    }
+    const relative = path.relative(__dirname, file);
+    const script = {
+        id: path.basename(file, '.js'),
+        version: null,
+        path: relative.startsWith('..') ? file : relative,
+        runAt: 'load',
+        dependsOn: [],
+        source,
+        hash: crypto.createHash('sha1').update(source).digest('hex').slice(0, 12)
+    };
+    const result = await runScript(page.mainFrame(), script, { force: true });
+    logger.info(`Ran script ${script.path} (${result.status})`);
+    return { id: script.id, path: script.path, status: result.status === 'reloading' ? 'reloaded' : 'injected' };
+}
+
+// Resolves once the frame has reached a runAt stage
+async function waitForStage(frame, runAt) {
+    await frame.waitForFunction(
+        (stage) => stage === 'document-end' ? document.readyState !== 'loading' : document.readyState === 'complete',
+        { timeout: 30000 },
+        runAt
+    );
+    if (runAt === 'idle') {
+        await frame.evaluate(() => new Promise(resolve => requestIdleCallback(resolve, { timeout: 2000 })));
+    }
+}
+
+// evaluateOnNewDocument identifiers per page, replaced on hot reload
+const documentStartScripts = new WeakMap();
+
+async function registerDocumentStart(page, logger, loaded) {
+    for (const identifier of documentStartScripts.get(page) || []) {
+        await page.removeScriptToEvaluateOnNewDocument(identifier).catch(() => {});
+    }
+    const identifiers = [];
+    documentStartScripts.set(page, identifiers);
+    if (!loaded) {
+        return;
+    }
+    for (const script of loaded.scripts.filter(s => s.runAt === 'document-start')) {
+        try {
+            const rules = documentStartRules(loaded.manifest, script);
+            const { identifier } = await page.evaluateOnNewDocument(documentStartScript(script, rules));
+            identifiers.push(identifier);
+            logger.info(`Registered document-start script: ${script.path}`);
+        } catch (error) {
+            logger.error(`Failed to register script ${script.path}:`, error);
+        }
+    }
+}
+
+// Wire a page up for injection: document-start scripts are registered with
+// evaluateOnNewDocument, the rest run on the matching lifecycle event
+async function setupScriptInjection(page, logger) {
+    await registerDocumentStart(page, logger, await loadScripts(logger));
+
+    const inject = (runAt) => injectPageScripts(page, logger, { runAt }).catch(() => {});
+    page.on('domcontentloaded', () => inject(['document-end']));
+    page.on('load', async () => {
+        await inject(['load']);
+        try {
+            await waitForStage(page.mainFrame(), 'idle');
+        } catch (error) {
+            return; // Navigated away or closed before going idle
+        }
+        await inject(['idle']);
+    });
+
+    // Child frames load on their own schedule
+    page.on('framenavigated', async (frame) => {
+        if (!frame.parentFrame()) {
+            return;
+        }
+        for (const runAt of RUN_AT.slice(1)) {
+            try {
+                await waitForStage(frame, runAt);
+            } catch (error) {
+                return; // Frame detached or navigated again
+            }
+            await injectFrameScripts(frame, logger, { runAt: [runAt] }).catch(() => {});
+        }
+    });
+}
+
+// Hot reload: when scripts/ or the manifest change, re-register document-start
+// scripts and re-inject into open pages. Unchanged scripts are skipped by the
+// page's registry; changed ones run their onUnload handlers and run again.
+function watchScripts(getPages, logger) {
+    let timer = null;
+    const reload = async () => {
+        const loaded = await loadScripts(logger);
+        const pages = getPages();
+        logger.info(`Scripts changed, reloading into ${pages.length} page(s)`);
+        for (const page of pages) {
+            if (page.isClosed()) {
+                continue;
+            }
+            await registerDocumentStart(page, logger, loaded);
+            if (loaded) {
+                await injectPageScripts(page, logger, { loaded }).catch(() => {});
+            }
+        }
+    };
+    const onChange = (filename) => {
+        if (filename && !filename.endsWith('.js') && filename !== path.basename(MANIFEST_PATH)) {
+            return;
+        }
+        // Editors write in bursts; reload once they're done
+        clearTimeout(timer);
+        timer = setTimeout(() => reload().catch(error => logger.error('Script reload failed:', error)), 300);
+    };
+
+    const watchers = [
+        fs.watch(SCRIPTS_DIR, (event, filename) => onChange(filename)),
+        fs.watch(path.dirname(MANIFEST_PATH), (event, filename) => {
+            if (filename === path.basename(MANIFEST_PATH)) {
+                onChange(filename);
+            }
+        })
+    ];
+    return {
+        close: () => {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+        }
+    };
+}
+
+module.exports = {
+    injectPageScripts,
+    setupScriptInjection,
+    watchScripts,
+    addScripts,
+    loadManifest,
+    explainScripts,
+    runScriptFile,
+    RUN_AT
+};
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CommandError } = require('./errors');
+const { compileUrlPattern } = require('./url-matcher');
+
+const MANIFEST_PATH = path.join(__dirname, 'scripts.manifest.json');
+
+// When a script runs, in page lifecycle order
+const RUN_AT = ['document-start', 'document-end', 'load', 'idle'];
+
+const SCRIPT_FIELDS = ['id', 'version', 'path', 'sessions', 'urlPatterns', 'exclude', 'dependsOn', 'runAt', 'allFrames', 'enabled'];
+const PLUGIN_FIELDS = ['path', 'sessions', 'options'];
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+// Problems with one list of URL patterns, or a list per environment
+function checkPatterns(value, where, errors) {
+    if (value === undefined) {
+        return;
+    }
+    const lists = Array.isArray(value)
+        ? [[where, value]]
+        : (value && typeof value === 'object' ? Object.entries(value).map(([env, list]) => [`${where}.${env}`, list]) : null);
+    if (!lists) {
+        errors.push(`${where}: must be a list of URL patterns or an object of lists per environment`);
+        return;
+    }
+    for (const [at, list] of lists) {
+        if (!isStringArray(list)) {
+            errors.push(`${at}: must be a list of URL patterns`);
+            continue;
+        }
+        list.forEach((pattern, index) => {
+            try {
+                compileUrlPattern(pattern);
+            } catch (error) {
+                errors.push(`${at}[${index}]: ${error.message}`);
+            }
+        });
+    }
+}
+
+function checkScript(script, where, errors) {
+    if (!script || typeof script !== 'object' || Array.isArray(script)) {
+        errors.push(`${where}: must be an object`);
+        return;
+    }
+    Object.keys(script).filter(key => !SCRIPT_FIELDS.includes(key)).forEach(key => {
+        errors.push(`${where}.${key}: unknown field (expected ${SCRIPT_FIELDS.join(', ')})`);
+    });
+    if (typeof script.path !== 'string' || !script.path) {
+        errors.push(`${where}.path: is required`);
+    }
+    ['id', 'version'].filter(key => script[key] !== undefined && (typeof script[key] !== 'string' || !script[key]))
+        .forEach(key => errors.push(`${where}.${key}: must be a non-empty string`));
+    ['sessions', 'dependsOn'].filter(key => script[key] !== undefined && !isStringArray(script[key]))
+        .forEach(key => errors.push(`${where}.${key}: must be a list of names`));
+    ['allFrames', 'enabled'].filter(key => script[key] !== undefined && typeof script[key] !== 'boolean')
+        .forEach(key => errors.push(`${where}.${key}: must be true or false`));
+    if (script.runAt !== undefined && !RUN_AT.includes(script.runAt)) {
+        errors.push(`${where}.runAt: must be one of ${RUN_AT.join(', ')}`);
+    }
+    if (script.urlPatterns === undefined) {
+        errors.push(`${where}.urlPatterns: is required`);
+    }
+    checkPatterns(script.urlPatterns, `${where}.urlPatterns`, errors);
+    checkPatterns(script.exclude, `${where}.exclude`, errors);
+}
+
+// Problems with one script entry (also used for plugins' companion scripts)
+function validateScript(script, where = 'script') {
+    const errors = [];
+    checkScript(script, where, errors);
+    return errors;
+}
+
+// Every problem in a manifest, as "scripts[2].runAt: must be one of ..." strings
+function validateManifest(manifest) {
+    const errors = [];
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['manifest: must be a JSON object'];
+    }
+    if (!Array.isArray(manifest.scripts)) {
+        errors.push('scripts: must be a list');
+    } else {
+        manifest.scripts.forEach((script, index) => checkScript(script, `scripts[${index}]`, errors));
+        const ids = manifest.scripts.map(script => script && (script.id || (typeof script.path === 'string' && path.basename(script.path, '.js'))));
+        ids.forEach((id, index) => {
+            if (id && ids.indexOf(id) !== index) {
+                errors.push(`scripts[${index}]: id "${id}" is already used by scripts[${ids.indexOf(id)}]`);
+            }
+        });
+    }
+    if (manifest.environments !== undefined) {
+        if (!manifest.environments || typeof manifest.environments !== 'object' || Array.isArray(manifest.environments)) {
+            errors.push('environments: must be an object of pattern lists');
+        } else {
+            checkPatterns(manifest.environments, 'environments', errors);
+        }
+    }
+    if (manifest.plugins !== undefined) {
+        if (!Array.isArray(manifest.plugins)) {
+            errors.push('plugins: must be a list');
+        } else {
+            manifest.plugins.forEach((plugin, index) => {
+                if (typeof plugin === 'string') {
+                    return;
+                }
+                if (!plugin || typeof plugin !== 'object' || typeof plugin.path !== 'string') {
+                    errors.push(`plugins[${index}]: must be a path or an object with a path`);
+                    return;
+                }
+                Object.keys(plugin).filter(key => !PLUGIN_FIELDS.includes(key)).forEach(key => {
+                    errors.push(`plugins[${index}].${key}: unknown field (expected ${PLUGIN_FIELDS.join(', ')})`);
+                });
+                if (plugin.sessions !== undefined && !isStringArray(plugin.sessions)) {
+                    errors.push(`plugins[${index}].sessions: must be a list of names`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+async function readManifest() {
+    try {
+        return await fs.readJson(MANIFEST_PATH);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { scripts: [], plugins: [] };
+        }
+        throw new CommandError('INVALID_MANIFEST', `Cannot read ${path.basename(MANIFEST_PATH)}: ${error.message}`);
+    }
+}
+
+// Validate and save; an invalid manifest is never written
+async function writeManifest(manifest) {
+    const errors = validateManifest(manifest);
+    if (errors.length) {
+        throw new CommandError('INVALID_MANIFEST', `Invalid manifest:\n  ${errors.join('\n  ')}`, { errors });
+    }
+    await fs.writeJson(MANIFEST_PATH, manifest, { spaces: 2 });
+    return manifest;
+}
+
+// Find a script entry by id, path or file name
+function findScript(manifest, ref) {
+    const resolved = path.resolve(__dirname, ref);
+    const index = (manifest.scripts || []).findIndex(script =>
+        script.id === ref ||
+        path.basename(script.path, '.js') === ref ||
+        path.resolve(__dirname, script.path) === resolved
+    );
+    if (index === -1) {
+        throw new CommandError('SCRIPT_NOT_FOUND', `No script "${ref}" in the manifest`, { script: ref });
+    }
+    return index;
+}
+
+module.exports = { MANIFEST_PATH, RUN_AT, validateManifest, validateScript, readManifest, writeManifest, findScript };
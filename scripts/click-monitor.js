@@ -1,8 +1,9 @@
 // Simple click monitor
 (function() {
-    const clicks = [];
+    // Keep clicks recorded before a hot reload
+    const clicks = window.__clickMonitor ? window.__clickMonitor.getClicks() : [];
     
-    document.addEventListener('click', function(event) {
+    const onClick = function(event) {
         const target = event.target;
         const click = {
             timestamp: new Date().toISOString(),
@@ -21,7 +22,13 @@
         
         clicks.push(click);
         console.log('Click detected:', JSON.stringify(click, null, 2));
-    }, true);
+    };
+    document.addEventListener('click', onClick, true);
+    
+    // Remove the listener before a newer version of this script is injected
+    if (window.__glydeScripts) {
+        window.__glydeScripts.onUnload(() => document.removeEventListener('click', onClick, true));
+    }
     
     // Expose clicks array globally
     window.__clickMonitor = {
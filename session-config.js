@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_CONFIG = {
+    // Page opened at startup; "about:blank" or an empty string skips navigation
+    startUrl: 'https://agenthustle.ai',
+    state: {
+        // Number of autosaved state files to keep (named snapshots are never pruned)
+        retention: 20,
+        // State restored at startup: "latest" autosave, a snapshot name, or false
+        restoreOnStart: 'latest'
+    },
+    browser: {
+        // "window" (a normal Chrome window), "headless", or "connect" to an already running Chrome
+        mode: 'window',
+        // Chrome binary; chrome-launcher finds one when unset
+        chromePath: null,
+        // Extra Chrome command line flags
+        flags: [],
+        // Viewport for every tab; null keeps the window's own size
+        viewport: { width: 1280, height: 800, deviceScaleFactor: 1 },
+        // For "connect": a DevTools websocket URL, an http://host:port URL, or just the port
+        browserWSEndpoint: null,
+        browserURL: null,
+        port: null
+    },
+    scripts: {
+        // Re-inject scripts into open pages when scripts/ or the manifest change
+        watch: true
+    },
+    network: {
+        // Record requests from startup, as if "network start" ran before the first page loaded
+        capture: false,
+        // Also keep response bodies (each up to maxBodySize bytes)
+        bodies: false,
+        // Oldest requests are dropped beyond this many
+        maxEntries: 2000,
+        maxBodySize: 1024 * 1024,
+        // WebSocket and event stream frames kept, oldest dropped first
+        maxFrames: 5000
+    },
+    journal: {
+        // logs/events.ndjson is moved to events.ndjson.1 past this size
+        maxSize: 10 * 1024 * 1024,
+        // Also journal command args and results (never those of type, press, eval, state and chat)
+        commandDetails: false
+    }
+};
+
+// Per-session settings from data/sessions/<name>/config.json. Environment
+// variables override the file so one-off runs don't need to edit it.
+function loadSessionConfig(sessionDir, env = process.env) {
+    const configPath = path.join(sessionDir, 'config.json');
+
+    let fileConfig = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            fileConfig = fs.readJsonSync(configPath);
+        } catch (error) {
+            throw new Error(`Invalid session config ${configPath}: ${error.message}`);
+        }
+    }
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...fileConfig,
+        state: { ...DEFAULT_CONFIG.state, ...fileConfig.state },
+        browser: { ...DEFAULT_CONFIG.browser, ...fileConfig.browser },
+        scripts: { ...DEFAULT_CONFIG.scripts, ...fileConfig.scripts },
+        network: { ...DEFAULT_CONFIG.network, ...fileConfig.network },
+        journal: { ...DEFAULT_CONFIG.journal, ...fileConfig.journal }
+    };
+    if (env.GLYDE_START_URL !== undefined) {
+        config.startUrl = env.GLYDE_START_URL;
+    }
+    if (env.GLYDE_STATE_RETENTION !== undefined) {
+        config.state.retention = parseInt(env.GLYDE_STATE_RETENTION, 10);
+    }
+    if (env.GLYDE_RESTORE_STATE !== undefined) {
+        config.state.restoreOnStart = ['', 'false', 'none'].includes(env.GLYDE_RESTORE_STATE) ? false : env.GLYDE_RESTORE_STATE;
+    }
+    if (env.GLYDE_HEADLESS !== undefined && !['', '0', 'false'].includes(env.GLYDE_HEADLESS)) {
+        config.browser.mode = 'headless';
+    }
+    if (env.GLYDE_CHROME_PATH) {
+        config.browser.chromePath = env.GLYDE_CHROME_PATH;
+    }
+    if (env.GLYDE_BROWSER_WS_ENDPOINT || env.GLYDE_BROWSER_URL) {
+        config.browser.mode = 'connect';
+        config.browser.browserWSEndpoint = env.GLYDE_BROWSER_WS_ENDPOINT || null;
+        config.browser.browserURL = env.GLYDE_BROWSER_URL || null;
+    }
+    if (env.GLYDE_WATCH_SCRIPTS !== undefined) {
+        config.scripts.watch = !['', '0', 'false'].includes(env.GLYDE_WATCH_SCRIPTS);
+    }
+    if (env.GLYDE_NETWORK_CAPTURE !== undefined) {
+        config.network.capture = !['', '0', 'false'].includes(env.GLYDE_NETWORK_CAPTURE);
+    }
+    if (!Array.isArray(config.browser.flags)) {
+        throw new Error('Invalid session config: browser.flags must be an array');
+    }
+    return config;
+}
+
+module.exports = { loadSessionConfig, DEFAULT_CONFIG };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { CommandError } = require('./errors');
+
+// Encrypted files are JSON envelopes: AES-256-GCM with a key derived from the
+// passphrase by scrypt, so they stay greppable as "glydeEncrypted" but nothing else.
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Derived keys kept for files read again (autosaves, the latest snapshot)
+const MAX_CACHED_KEYS = 16;
+
+// Passphrase from GLYDE_STATE_PASSPHRASE, or the contents of GLYDE_STATE_KEY_FILE
+function loadSecret(env = process.env) {
+    if (env.GLYDE_STATE_PASSPHRASE) {
+        return env.GLYDE_STATE_PASSPHRASE;
+    }
+    if (env.GLYDE_STATE_KEY_FILE) {
+        try {
+            const secret = fs.readFileSync(env.GLYDE_STATE_KEY_FILE, 'utf8').trim();
+            if (!secret) {
+                throw new Error('file is empty');
+            }
+            return secret;
+        } catch (error) {
+            throw new Error(`Can't read GLYDE_STATE_KEY_FILE ${env.GLYDE_STATE_KEY_FILE}: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+// scrypt is slow on purpose, and the controller serves clients and CDP events
+// on one thread: keys are derived off it, and once per passphrase and salt.
+// Files written by this process share a salt per passphrase (each gets its own
+// iv), so autosaving on every page load doesn't derive a key each time.
+const keys = new Map();
+const salts = new Map();
+const fingerprint = (secret) => crypto.createHash('sha256').update(secret).digest('base64');
+
+function deriveKey(secret, salt) {
+    const id = `${fingerprint(secret)}:${salt.toString('base64')}`;
+    if (!keys.has(id)) {
+        if (keys.size >= MAX_CACHED_KEYS) {
+            keys.delete(keys.keys().next().value);
+        }
+        const key = new Promise((resolve, reject) => {
+            crypto.scrypt(secret, salt, 32, SCRYPT_PARAMS, (error, derived) => (error ? reject(error) : resolve(derived)));
+        });
+        key.catch(() => keys.delete(id));
+        keys.set(id, key);
+    }
+    return keys.get(id);
+}
+
+function saltFor(secret) {
+    const id = fingerprint(secret);
+    if (!salts.has(id)) {
+        salts.set(id, crypto.randomBytes(16));
+    }
+    return salts.get(id);
+}
+
+function isEncrypted(data) {
+    return Boolean(data && data.glydeEncrypted);
+}
+
+async function encrypt(value, secret) {
+    const salt = saltFor(secret);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, await deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return {
+        glydeEncrypted: FORMAT_VERSION,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+async function decrypt(envelope, secret) {
+    if (!secret) {
+        throw new CommandError('STATE_LOCKED',
+            'State is encrypted. Set GLYDE_STATE_PASSPHRASE or GLYDE_STATE_KEY_FILE to read it.');
+    }
+    if (envelope.glydeEncrypted !== FORMAT_VERSION) {
+        throw new CommandError('STATE_LOCKED', `Unsupported encryption format ${envelope.glydeEncrypted}`);
+    }
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, await deriveKey(secret, Buffer.from(envelope.salt, 'base64')),
+            Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        // GCM authentication fails the same way for a wrong key and a tampered file
+        throw new CommandError('STATE_LOCKED', 'Could not decrypt state: wrong passphrase or corrupted file');
+    }
+}
+
+module.exports = { loadSecret, isEncrypted, encrypt, decrypt };
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const { CommandError } = require('./errors');
+const { isEncrypted, encrypt, decrypt } = require('./state-crypto');
+
+const AUTOSAVE_PATTERN = /^state-[\d-]+\.json$/;
+const NAME_PATTERN = /^[\w.-]+$/;
+const DEFAULT_RETENTION = 20;
+
+// State files for a session. Autosaves (state-<timestamp>.json, written on every
+// page load) live in the state dir and are pruned to the newest `retention`;
+// named snapshots live in state/snapshots/<name>.json and are never pruned.
+// With a `secret`, files are written encrypted; plaintext files still load.
+class StateStore {
+    constructor(stateDir, { retention = DEFAULT_RETENTION, secret = null } = {}) {
+        this.stateDir = stateDir;
+        this.snapshotDir = path.join(stateDir, 'snapshots');
+        this.retention = retention;
+        this.secret = secret;
+    }
+
+    async writeFile(file, state) {
+        await fs.ensureDir(path.dirname(file));
+        await fs.writeJson(file, this.secret ? await encrypt(state, this.secret) : state, { spaces: 2, mode: 0o600 });
+    }
+
+    async readFile(file) {
+        const data = await fs.readJson(file);
+        return isEncrypted(data) ? await decrypt(data, this.secret) : data;
+    }
+
+    async autosaves() {
+        const files = await fs.readdir(this.stateDir);
+        return files.filter(file => AUTOSAVE_PATTERN.test(file)).sort();
+    }
+
+    async saveAutosave(state) {
+        const file = path.join(this.stateDir, `state-${moment().format('YYYY-MM-DD-HH-mm-ss')}.json`);
+        await this.writeFile(file, state);
+        await this.prune();
+        return file;
+    }
+
+    async save(name, state) {
+        if (!NAME_PATTERN.test(name) || AUTOSAVE_PATTERN.test(`${name}.json`)) {
+            throw new CommandError('INVALID_ARGS', `Invalid snapshot name "${name}" (use letters, numbers, ".", "_" and "-")`);
+        }
+        const file = path.join(this.snapshotDir, `${name}.json`);
+        await this.writeFile(file, state);
+        return file;
+    }
+
+    // Map a name to its file: a snapshot name, an autosave file name, or "latest"
+    async resolve(name) {
+        if (name === 'latest') {
+            const autosaves = await this.autosaves();
+            return autosaves.length ? path.join(this.stateDir, autosaves[autosaves.length - 1]) : null;
+        }
+        const fileName = name.endsWith('.json') ? name : `${name}.json`;
+        if (AUTOSAVE_PATTERN.test(fileName)) {
+            return path.join(this.stateDir, fileName);
+        }
+        if (!NAME_PATTERN.test(name)) {
+            throw new CommandError('INVALID_ARGS', `Invalid snapshot name "${name}"`);
+        }
+        return path.join(this.snapshotDir, fileName);
+    }
+
+    async load(name) {
+        const file = await this.resolve(name);
+        if (!file || !await fs.pathExists(file)) {
+            throw new CommandError('STATE_NOT_FOUND', `No saved state named "${name}"`, { name });
+        }
+        return this.readFile(file);
+    }
+
+    async remove(name) {
+        const file = await this.resolve(name);
+        if (!file || !await fs.pathExists(file)) {
+            throw new CommandError('STATE_NOT_FOUND', `No saved state named "${name}"`, { name });
+        }
+        await fs.remove(file);
+        return file;
+    }
+
+    async list() {
+        const describe = async (name, type, file) => {
+            try {
+                const state = await this.readFile(file);
+                const origins = state.origins ? Object.keys(state.origins) : [state.origin].filter(Boolean);
+                return { name, type, timestamp: state.timestamp, url: state.url || null, origins };
+            } catch (error) {
+                return { name, type, origins: [], error: error.message };
+            }
+        };
+
+        const snapshots = await fs.pathExists(this.snapshotDir)
+            ? (await fs.readdir(this.snapshotDir)).filter(file => file.endsWith('.json')).sort()
+            : [];
+        const named = await Promise.all(snapshots.map(file =>
+            describe(path.basename(file, '.json'), 'snapshot', path.join(this.snapshotDir, file))));
+        const autos = await Promise.all((await this.autosaves()).map(file =>
+            describe(path.basename(file, '.json'), 'autosave', path.join(this.stateDir, file))));
+
+        return [...named, ...autos];
+    }
+
+    // Write a state as a portable bundle, always encrypted with `passphrase`
+    async exportBundle(name, file, passphrase) {
+        if (!passphrase) {
+            throw new CommandError('INVALID_ARGS',
+                'Exporting needs a passphrase: set GLYDE_EXPORT_PASSPHRASE or GLYDE_STATE_PASSPHRASE');
+        }
+        const state = await this.load(name);
+        // Autosave names don't work as snapshot names on import
+        const bundleName = name === 'latest' || AUTOSAVE_PATTERN.test(`${name}.json`) ? 'imported' : name;
+        const bundle = { glydeBundle: 1, name: bundleName, exportedAt: new Date().toISOString(), state };
+        await fs.ensureDir(path.dirname(file));
+        await fs.writeJson(file, await encrypt(bundle, passphrase), { spaces: 2, mode: 0o600 });
+        return file;
+    }
+
+    // Save a bundle as a named snapshot (the bundle's own name by default)
+    async importBundle(file, { name = null, passphrase, force = false } = {}) {
+        if (!await fs.pathExists(file)) {
+            throw new CommandError('FILE_NOT_FOUND', `File not found: ${file}`, { file });
+        }
+        const data = await fs.readJson(file);
+        if (!isEncrypted(data)) {
+            throw new CommandError('INVALID_ARGS', `${file} is not an exported state bundle`);
+        }
+        const bundle = await decrypt(data, passphrase);
+        // A state file encrypted at rest decrypts too, but isn't a bundle
+        if (!bundle || bundle.glydeBundle !== 1 || !bundle.state || typeof bundle.state !== 'object' ||
+            (!name && typeof bundle.name !== 'string')) {
+            throw new CommandError('INVALID_ARGS', `${file} is not an exported state bundle`);
+        }
+        const snapshotName = name || bundle.name;
+        if (!force && await fs.pathExists(path.join(this.snapshotDir, `${snapshotName}.json`))) {
+            throw new CommandError('INVALID_ARGS', `Snapshot "${snapshotName}" already exists (use --force to replace it)`);
+        }
+        await this.save(snapshotName, bundle.state);
+        return { name: snapshotName, exportedAt: bundle.exportedAt };
+    }
+
+    // Delete all but the newest `retention` autosaves
+    async prune() {
+        const autosaves = await this.autosaves();
+        const expired = autosaves.slice(0, Math.max(0, autosaves.length - this.retention));
+        await Promise.all(expired.map(file => fs.remove(path.join(this.stateDir, file))));
+        return expired;
+    }
+}
+
+module.exports = { StateStore, DEFAULT_RETENTION };
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { IpcClient } = require('./ipc-protocol');
+
+const SESSIONS_DIR = path.join(__dirname, 'data', 'sessions');
+
+// index.js exits with this when Chrome goes away, so the supervisor restarts it
+const CHROME_EXIT_CODE = 3;
+const MAX_RESTARTS = 5;
+const RESTART_WINDOW = 60000;
+
+function sessionPaths(name) {
+    const dir = path.join(SESSIONS_DIR, name);
+    return {
+        dir,
+        socket: path.join(dir, '.browser.sock'),
+        lock: path.join(dir, '.glyde.lock'),
+        supervisorPid: path.join(dir, '.supervisor.pid'),
+        userDataDir: path.join(dir, '.browser-data'),
+        logs: path.join(dir, 'logs'),
+        daemonLog: path.join(dir, 'logs', 'daemon.log'),
+        journal: path.join(dir, 'logs', 'events.ndjson'),
+        macros: path.join(dir, 'macros')
+    };
+}
+
+function isAlive(pid) {
+    if (!pid) {
+        return false;
+    }
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+function readJson(file) {
+    try {
+        return fs.readJsonSync(file);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Take the session's lock for this process. A lock left by a dead process is
+// replaced (and its socket removed); a live owner means the session is taken.
+function acquireLock(name, info = {}) {
+    const paths = sessionPaths(name);
+    const data = { pid: process.pid, startedAt: new Date().toISOString(), ...info };
+    fs.ensureDirSync(paths.dir);
+
+    let stale = null;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(paths.lock, JSON.stringify(data, null, 2), { flag: 'wx' });
+            return { stale };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        const owner = readJson(paths.lock);
+        if (owner && isAlive(owner.pid)) {
+            throw new Error(`Session "${name}" is already running (pid ${owner.pid})`);
+        }
+        stale = owner || {};
+        fs.removeSync(paths.lock);
+        fs.removeSync(paths.socket);
+    }
+    throw new Error(`Could not lock session "${name}"`);
+}
+
+function updateLock(name, info) {
+    const paths = sessionPaths(name);
+    const current = readJson(paths.lock);
+    if (current && current.pid === process.pid) {
+        fs.writeFileSync(paths.lock, JSON.stringify({ ...current, ...info }, null, 2));
+    }
+}
+
+function releaseLock(name) {
+    const paths = sessionPaths(name);
+    const current = readJson(paths.lock);
+    if (current && current.pid === process.pid) {
+        fs.removeSync(paths.lock);
+    }
+}
+
+// Ask the running controller for its status over the socket
+async function healthCheck(name, { timeout = 3000 } = {}) {
+    const paths = sessionPaths(name);
+    if (!fs.existsSync(paths.socket)) {
+        return { ok: false, error: 'no socket' };
+    }
+    const client = new IpcClient(paths.socket);
+    let timer;
+    try {
+        const status = await Promise.race([
+            client.connect().then(() => client.request('status')),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`no answer within ${timeout}ms`)), timeout);
+            })
+        ]);
+        return { ok: true, ...status };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+        client.close();
+    }
+}
+
+// running: healthy controller; unhealthy: controller alive but not answering;
+// crashed: lock left by a dead process; stopped: nothing running
+async function getStatus(name, { health = true } = {}) {
+    const paths = sessionPaths(name);
+    const lock = readJson(paths.lock);
+    const supervisor = readJson(paths.supervisorPid);
+    const supervisorPid = supervisor && isAlive(supervisor.pid) ? supervisor.pid : null;
+    const status = { name, pid: null, supervisorPid, startedAt: null, daemon: false };
+
+    if (!lock) {
+        return { ...status, state: supervisorPid ? 'starting' : 'stopped' };
+    }
+    Object.assign(status, { pid: lock.pid, startedAt: lock.startedAt, daemon: Boolean(lock.daemon) });
+    if (!isAlive(lock.pid)) {
+        return { ...status, state: supervisorPid ? 'restarting' : 'crashed' };
+    }
+    if (!health) {
+        return { ...status, state: 'running' };
+    }
+    const check = await healthCheck(name);
+    return { ...status, state: check.ok ? 'running' : 'unhealthy', health: check };
+}
+
+async function listSessions() {
+    if (!fs.existsSync(SESSIONS_DIR)) {
+        return [];
+    }
+    const names = fs.readdirSync(SESSIONS_DIR)
+        .filter(name => fs.statSync(path.join(SESSIONS_DIR, name)).isDirectory())
+        .sort();
+    return Promise.all(names.map(name => getStatus(name, { health: false })));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start a supervised controller in the background and wait until it answers
+async function startSession(name, { timeout = 60000 } = {}) {
+    const current = await getStatus(name, { health: false });
+    if (['running', 'starting', 'restarting'].includes(current.state)) {
+        throw new Error(`Session "${name}" is already ${current.state} (pid ${current.pid || current.supervisorPid})`);
+    }
+
+    const paths = sessionPaths(name);
+    fs.ensureDirSync(paths.logs);
+    const log = fs.openSync(paths.daemonLog, 'a');
+    const child = spawn(process.execPath, [__filename, name], {
+        detached: true,
+        stdio: ['ignore', log, log],
+        env: { ...process.env, SESSION_NAME: name }
+    });
+    child.unref();
+    fs.closeSync(log);
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        await sleep(500);
+        if (!isAlive(child.pid)) {
+            throw new Error(`Session "${name}" failed to start, see ${paths.daemonLog}`);
+        }
+        const status = await getStatus(name);
+        if (status.state === 'running') {
+            return status;
+        }
+    }
+    throw new Error(`Session "${name}" did not answer within ${timeout}ms, see ${paths.daemonLog}`);
+}
+
+// Stop the supervisor (which stops the controller) or an unsupervised controller
+async function stopSession(name, { timeout = 15000, force = false } = {}) {
+    const status = await getStatus(name, { health: false });
+    const pid = status.supervisorPid || (isAlive(status.pid) ? status.pid : null);
+    if (!pid) {
+        // Nothing alive; clear whatever a crash left behind
+        const paths = sessionPaths(name);
+        fs.removeSync(paths.lock);
+        fs.removeSync(paths.socket);
+        fs.removeSync(paths.supervisorPid);
+        return { ...status, stopped: false };
+    }
+
+    if (force) {
+        // SIGKILL can't be forwarded, so kill the controller directly too
+        [pid, status.pid].filter(isAlive).forEach(target => process.kill(target, 'SIGKILL'));
+    } else {
+        process.kill(pid, 'SIGTERM');
+    }
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline && (isAlive(pid) || isAlive(status.pid))) {
+        await sleep(200);
+    }
+    if (isAlive(pid) || isAlive(status.pid)) {
+        throw new Error(`Session "${name}" did not stop within ${timeout}ms (try --force)`);
+    }
+    return { ...status, stopped: true };
+}
+
+// Supervisor process: run index.js for one session and restart it when it
+// dies unexpectedly, backing off and giving up after repeated crashes.
+function supervise(name) {
+    const paths = sessionPaths(name);
+    const log = (message) => console.log(`${new Date().toISOString()} [supervisor] ${message}`);
+    fs.writeJsonSync(paths.supervisorPid, { pid: process.pid, startedAt: new Date().toISOString() });
+
+    let child = null;
+    let stopping = false;
+    const crashes = [];
+
+    const run = () => {
+        child = spawn(process.execPath, [path.join(__dirname, 'index.js')], {
+            stdio: ['ignore', 'inherit', 'inherit'],
+            env: { ...process.env, SESSION_NAME: name, GLYDE_DAEMON: '1' }
+        });
+        log(`Started controller (pid ${child.pid})`);
+
+        child.on('exit', (code, signal) => {
+            child = null;
+            // Exit code 0 is a deliberate stop (the "exit" command)
+            if (stopping || code === 0) {
+                fs.removeSync(paths.supervisorPid);
+                process.exit(0);
+            }
+            const reason = code === CHROME_EXIT_CODE ? 'Chrome went away' : `exit code ${code}, signal ${signal}`;
+            const now = Date.now();
+            crashes.push(now);
+            while (crashes.length && crashes[0] < now - RESTART_WINDOW) {
+                crashes.shift();
+            }
+            if (crashes.length > MAX_RESTARTS) {
+                log(`Controller died (${reason}); ${crashes.length} crashes in ${RESTART_WINDOW / 1000}s, giving up`);
+                fs.removeSync(paths.supervisorPid);
+                process.exit(1);
+            }
+            const delay = Math.min(1000 * 2 ** (crashes.length - 1), 30000);
+            log(`Controller died (${reason}); restarting in ${delay}ms`);
+            setTimeout(run, delay);
+        });
+    };
+
+    const stop = (signal) => {
+        log(`Received ${signal}, stopping`);
+        stopping = true;
+        if (child) {
+            child.kill('SIGTERM');
+        } else {
+            fs.removeSync(paths.supervisorPid);
+            process.exit(0);
+        }
+    };
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+
+    run();
+}
+
+if (require.main === module) {
+    const name = process.argv[2] || process.env.SESSION_NAME || 'default';
+    supervise(name);
+}
+
+module.exports = {
+    CHROME_EXIT_CODE,
+    sessionPaths,
+    isAlive,
+    acquireLock,
+    updateLock,
+    releaseLock,
+    healthCheck,
+    getStatus,
+    listSessions,
+    startSession,
+    stopSession
+};
@@ -0,0 +1,197 @@
+const { EventEmitter } = require('events');
+
+// Tracks every page (tab or popup) in the browser and which one commands target.
+// Tabs get short numeric ids and can optionally be named.
+class TabManager extends EventEmitter {
+    constructor(browser, logger, { setupPage } = {}) {
+        super();
+        this.browser = browser;
+        this.logger = logger;
+        this.setupPage = setupPage;
+        this.tabs = new Map();
+        this.nextId = 1;
+        this.activeId = null;
+        this.openingHelpers = 0;
+
+        // Pick up popups and windows opened by the page itself
+        this.onTargetCreated = async (target) => {
+            if (target.type() !== 'page') {
+                return;
+            }
+            // Helper pages are opened by us without an opener; don't treat them as tabs
+            if (this.openingHelpers > 0 && !target.opener()) {
+                return;
+            }
+            try {
+                const page = await target.page();
+                if (!page || this.findByPage(page)) {
+                    return;
+                }
+                const openerTarget = target.opener();
+                const opener = openerTarget && Array.from(this.tabs.values())
+                    .find(tab => tab.page.target() === openerTarget);
+                const tab = await this.add(page, { openerId: opener ? opener.id : null });
+                this.logger.info(`New tab opened: ${tab.id}`, { url: page.url(), opener: tab.openerId });
+            } catch (error) {
+                this.logger.error('Failed to track new tab:', error);
+            }
+        };
+        browser.on('targetcreated', this.onTargetCreated);
+    }
+
+    findByPage(page) {
+        return Array.from(this.tabs.values()).find(tab => tab.page === page);
+    }
+
+    async add(page, { name = null, openerId = null } = {}) {
+        const existing = this.findByPage(page);
+        if (existing) {
+            if (name) {
+                existing.name = name;
+            }
+            await existing.ready;
+            return existing;
+        }
+
+        const tab = { id: this.nextId++, page: null, name, openerId };
+        this.tabs.set(tab.id, tab);
+        if (this.activeId === null) {
+            this.activeId = tab.id;
+        }
+
+        this.attachPage(tab, page);
+        await tab.ready;
+        this.emit('tab-added', tab);
+        return tab;
+    }
+
+    attachPage(tab, page) {
+        tab.page = page;
+        // A replaced page closing doesn't close the tab
+        page.once('close', () => {
+            if (tab.page === page) {
+                this.remove(tab.id);
+            }
+        });
+        tab.ready = this.setupPage ? this.setupPage(page, tab) : Promise.resolve();
+    }
+
+    // Put a new page under an existing tab (after the old one crashed)
+    async replacePage(tab, page) {
+        const old = tab.page;
+        this.attachPage(tab, page);
+        await tab.ready;
+        await old.close().catch(() => {});
+        this.emit('tab-added', tab);
+        return tab;
+    }
+
+    // Forget every tab and track a new browser (after Chrome was relaunched)
+    reset(browser) {
+        this.browser.off('targetcreated', this.onTargetCreated);
+        const lost = Array.from(this.tabs.values());
+        this.tabs.clear();
+        this.activeId = null;
+        this.browser = browser;
+        browser.on('targetcreated', this.onTargetCreated);
+        return lost;
+    }
+
+    remove(id) {
+        const tab = this.tabs.get(id);
+        if (!tab) {
+            return;
+        }
+        this.tabs.delete(id);
+
+        // Fall back to the most recently opened tab
+        if (this.activeId === id) {
+            const remaining = Array.from(this.tabs.keys());
+            this.activeId = remaining.length ? remaining[remaining.length - 1] : null;
+        }
+        this.logger.info(`Tab closed: ${id}`);
+        this.emit('tab-removed', tab);
+    }
+
+    // Look up a tab by id or name
+    get(ref) {
+        const key = String(ref).trim();
+        const byId = /^\d+$/.test(key) ? this.tabs.get(parseInt(key, 10)) : null;
+        const tab = byId || Array.from(this.tabs.values()).find(t => t.name === key);
+        if (!tab) {
+            throw new Error(`No tab with id or name "${key}"`);
+        }
+        return tab;
+    }
+
+    get active() {
+        const tab = this.tabs.get(this.activeId);
+        if (!tab) {
+            throw new Error('No open tab. Use "tab new <url>" to open one.');
+        }
+        return tab;
+    }
+
+    get activePage() {
+        return this.active.page;
+    }
+
+    async list() {
+        return Promise.all(Array.from(this.tabs.values()).map(async (tab) => ({
+            id: tab.id,
+            name: tab.name,
+            url: tab.page.url(),
+            title: await tab.page.title().catch(() => ''),
+            active: tab.id === this.activeId,
+            openerId: tab.openerId
+        })));
+    }
+
+    use(ref) {
+        const tab = this.get(ref);
+        this.activeId = tab.id;
+        return tab;
+    }
+
+    async open(url, { name = null, activate = true } = {}) {
+        const page = await this.browser.newPage();
+        const tab = await this.add(page, { name });
+        if (activate) {
+            this.activeId = tab.id;
+        }
+        if (url) {
+            await page.goto(url, { waitUntil: 'domcontentloaded' });
+        }
+        return tab;
+    }
+
+    // A page that isn't tracked as a tab (no logging, injection or autosave),
+    // for internal work like reading another origin's storage, or to hand to
+    // replacePage. Caller closes it.
+    async openHelper() {
+        this.openingHelpers++;
+        try {
+            return await this.browser.newPage();
+        } finally {
+            this.openingHelpers--;
+        }
+    }
+
+    async close(ref) {
+        const tab = ref === undefined || ref === null || ref === '' ? this.active : this.get(ref);
+        await tab.page.close();
+        this.remove(tab.id);
+        return tab;
+    }
+
+    rename(ref, name) {
+        const tab = this.get(ref);
+        if (Array.from(this.tabs.values()).some(t => t !== tab && t.name === name)) {
+            throw new Error(`Tab name "${name}" is already in use`);
+        }
+        tab.name = name;
+        return tab;
+    }
+}
+
+module.exports = { TabManager };
@@ -0,0 +1,67 @@
+// Pattern matching for URLs and text.
+//
+// compilePattern: loose matching for wait-for and console text. "/regex/flags",
+// a glob with * wildcards, or a plain substring.
+//
+// compileUrlPattern: manifest URL patterns, always compiled to a RegExp over
+// the full URL so they can also be checked inside the page:
+//   "*"                          any URL
+//   "/^https:\/\/app\./i"        a regular expression
+//   "example.com"                example.com and its subdomains, any scheme, port and path
+//   "*.example.com"              same, spelled out
+//   "localhost:3000"             one port
+//   "example.com/app/*"          a path glob (a path without * is a prefix)
+//   "https://example.com/*"      an explicit scheme
+
+const escapeRegex = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+const globToRegex = (glob, wildcard = '.*') => glob.split('*').map(escapeRegex).join(wildcard);
+
+function compilePattern(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+    if (pattern.includes('*')) {
+        return new RegExp(`^${globToRegex(pattern)}$`);
+    }
+    return { test: (value) => value.includes(pattern) };
+}
+
+function compileUrlPattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern) {
+        throw new Error(`Invalid URL pattern: ${JSON.stringify(pattern)}`);
+    }
+    if (pattern === '*') {
+        return /^/;
+    }
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+
+    const parts = pattern.match(/^(?:([a-z*][a-z0-9+.*-]*):\/\/)?(\[[^\]]+\]|[^/:?#]+)(?::(\d+|\*))?([/?#].*)?$/i);
+    if (!parts) {
+        throw new Error(`Invalid URL pattern: ${pattern}`);
+    }
+    const [, scheme, host, port, path] = parts;
+
+    const schemeSource = scheme ? globToRegex(scheme, '[a-z0-9+.-]*') : 'https?';
+    // A bare host also matches its subdomains; "*." says the same explicitly
+    const bareHost = host.startsWith('*.') ? host.slice(2) : host;
+    const hostSource = bareHost.includes('*')
+        ? globToRegex(bareHost, '[^/:?#]*')
+        : `(?:[^/:?#@]+\\.)?${escapeRegex(bareHost)}`;
+    const portSource = port === undefined || port === '*' ? '(?::\\d+)?' : `:${port}`;
+    const pathSource = path
+        ? (path.includes('*') ? globToRegex(path) : `${escapeRegex(path)}.*`)
+        : '(?:[/?#].*)?';
+
+    return new RegExp(`^${schemeSource}://(?:[^/@]*@)?${hostSource}${portSource}${pathSource}$`, 'i');
+}
+
+// The first pattern that matches the URL, or null
+function findMatch(patterns, url) {
+    return patterns.find(pattern => compileUrlPattern(pattern).test(url)) || null;
+}
+
+module.exports = { compilePattern, compileUrlPattern, findMatch };
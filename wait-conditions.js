@@ -0,0 +1,133 @@
+const { CommandError } = require('./errors');
+const { compilePattern } = require('./url-matcher');
+
+const DEFAULT_TIMEOUT = 30000;
+const RECENT_CONSOLE_LIMIT = 200;
+
+// Recent console messages per page, so "wait-for console --since" can look back
+const recentConsole = new WeakMap();
+
+const timeoutError = (what, timeout, details = {}) =>
+    new CommandError('TIMEOUT', `Timed out after ${timeout}ms waiting for ${what}`, { timeout, ...details });
+
+// Convert puppeteer's TimeoutError into our structured error
+async function withTimeout(promise, what, timeout, details) {
+    try {
+        return await promise;
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw timeoutError(what, timeout, details);
+        }
+        throw error;
+    }
+}
+
+async function waitForSelectorState(page, selector, { state = 'attached', timeout = DEFAULT_TIMEOUT } = {}) {
+    const what = `${selector} to be ${state}`;
+    if (state === 'detached') {
+        await withTimeout(
+            page.waitForFunction(sel => !document.querySelector(sel), { timeout }, selector),
+            what, timeout, { selector, state }
+        );
+    } else {
+        await withTimeout(
+            page.waitForSelector(selector, { timeout, visible: state === 'visible', hidden: state === 'hidden' }),
+            what, timeout, { selector, state }
+        );
+    }
+    return { selector, state };
+}
+
+async function waitForUrl(page, pattern, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const matcher = compilePattern(pattern);
+    if (matcher.test(page.url())) {
+        return { url: page.url() };
+    }
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            page.off('framenavigated', onNavigated);
+        };
+        const onNavigated = (frame) => {
+            if (frame === page.mainFrame() && matcher.test(frame.url())) {
+                cleanup();
+                resolve({ url: frame.url() });
+            }
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(timeoutError(`URL matching ${pattern}`, timeout, { pattern, url: page.url() }));
+        }, timeout);
+        page.on('framenavigated', onNavigated);
+    });
+}
+
+async function waitForNetworkIdle(page, { idleTime = 500, timeout = DEFAULT_TIMEOUT } = {}) {
+    await withTimeout(page.waitForNetworkIdle({ idleTime, timeout }), 'network idle', timeout, { idleTime });
+    return { idle: true };
+}
+
+async function waitForPredicate(page, expression, { timeout = DEFAULT_TIMEOUT, polling = 'raf' } = {}) {
+    const interval = parseInt(polling, 10);
+    const handle = await withTimeout(
+        page.waitForFunction(expression, { timeout, polling: Number.isNaN(interval) ? polling : interval }),
+        `function to return a truthy value`, timeout, { expression }
+    );
+    const value = await handle.jsonValue().catch(() => true);
+    await handle.dispose();
+    return { value };
+}
+
+function trackConsole(page) {
+    const messages = [];
+    recentConsole.set(page, messages);
+    page.on('console', (msg) => {
+        messages.push({ type: msg.type(), text: msg.text(), time: Date.now() });
+        if (messages.length > RECENT_CONSOLE_LIMIT) {
+            messages.shift();
+        }
+    });
+}
+
+async function waitForConsole(page, pattern, { type, since, timeout = DEFAULT_TIMEOUT } = {}) {
+    const matcher = compilePattern(pattern);
+    const matches = (msgType, text) => (!type || msgType === type) && matcher.test(text);
+
+    if (since) {
+        const earliest = Date.now() - since;
+        const recent = (recentConsole.get(page) || [])
+            .find(msg => msg.time >= earliest && matches(msg.type, msg.text));
+        if (recent) {
+            return { type: recent.type, text: recent.text };
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            page.off('console', onConsole);
+        };
+        const onConsole = (msg) => {
+            if (matches(msg.type(), msg.text())) {
+                cleanup();
+                resolve({ type: msg.type(), text: msg.text() });
+            }
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(timeoutError(`console message matching ${pattern}`, timeout, { pattern }));
+        }, timeout);
+        page.on('console', onConsole);
+    });
+}
+
+module.exports = {
+    trackConsole,
+    waitForSelectorState,
+    waitForUrl,
+    waitForNetworkIdle,
+    waitForPredicate,
+    waitForConsole,
+    DEFAULT_TIMEOUT
+};